@@ -1,3 +1,9 @@
+const fs = require('fs');
+
+// objects receiving exported custom properties
+const exportToObject = { customProperties: {} };
+const exportToFunctionObject = {};
+
 module.exports = {
 	'basic': {
 		message: 'supports basic usage'
@@ -8,6 +14,349 @@ module.exports = {
 			stringifier: color => color.toString()
 		}
 	},
+	'lab': {
+		message: 'supports { stringifier: color => color.toLab() } usage',
+		options: {
+			stringifier: color => color.toLab()
+		}
+	},
+	'lab:lch': {
+		message: 'supports { stringifier: color => color.toLCH() } usage',
+		options: {
+			stringifier: color => color.toLCH()
+		}
+	},
+	'oklab': {
+		message: 'supports { stringifier: color => color.toOKLab() } usage',
+		options: {
+			stringifier: color => color.toOKLab()
+		}
+	},
+	'oklab:oklch': {
+		message: 'supports { stringifier: color => color.toOKLCH() } usage',
+		options: {
+			stringifier: color => color.toOKLCH()
+		}
+	},
+	'gamut': {
+		message: 'supports { gamutMapping: "css" } usage'
+	},
+	'gamut:clip': {
+		message: 'supports { gamutMapping: "clip" } usage',
+		options: {
+			gamutMapping: 'clip'
+		}
+	},
+	'gamut:colors': {
+		message: 'supports { gamutMapping } usage with a { stringifier }',
+		options: {
+			stringifier: color => `${color.toRGB()} ${color.toHSL({ gamutMapping: 'clip' })} ${color.toColor('display-p3')}`
+		}
+	},
+	'preserve': {
+		message: 'supports { preserve: true } usage',
+		options: {
+			preserve: true
+		}
+	},
+	'preserve:wide-gamut': {
+		message: 'supports { preserve: true, wideGamut: true } usage',
+		options: {
+			preserve: true,
+			wideGamut: true
+		}
+	},
+	'scoped': {
+		message: 'supports { scopedCustomProperties: true } usage',
+		options: {
+			scopedCustomProperties: true
+		}
+	},
+	'scoped-preserve': {
+		message: 'supports { scopedCustomProperties: true, preserve: true } usage',
+		options: {
+			scopedCustomProperties: true,
+			preserve: true
+		}
+	},
+	'property': {
+		message: 'supports @property usage'
+	},
+	'property:import': {
+		message: 'supports @property usage with { importFrom: "test/property-import.css" }',
+		options: {
+			importFrom: 'test/property-import.css'
+		}
+	},
+	'relative-color': {
+		message: 'supports relative color syntax'
+	},
+	'themes': {
+		message: 'supports { themes } usage',
+		options: {
+			importFrom: { customProperties: { '--surface': 'white' } },
+			themes: {
+				dark: {
+					importFrom: { customProperties: { '--accent': 'blue', '--surface': 'black' } },
+					selector: '[data-theme=dark]'
+				},
+				'high-contrast': {
+					importFrom: { customProperties: { '--accent': 'black' } },
+					media: '(prefers-contrast: more)'
+				}
+			}
+		}
+	},
+	'themes:unscoped': {
+		message: 'supports { themes: { dark: { importFrom } } } usage',
+		options: {
+			themes: {
+				dark: {
+					importFrom: { customProperties: { '--accent': 'blue' } }
+				}
+			}
+		},
+		error: {
+			message: /^Expected the "dark" theme to have a selector or media/
+		}
+	},
+	'wide-gamut': {
+		message: 'supports { wideGamut: "cascade" } usage',
+		options: {
+			wideGamut: 'cascade'
+		}
+	},
+	'wide-gamut:supports': {
+		message: 'supports { wideGamut: "supports" } usage',
+		options: {
+			wideGamut: 'supports'
+		}
+	},
+	'wide-gamut:invalid': {
+		message: 'supports { wideGamut: "p3" } usage',
+		options: {
+			wideGamut: 'p3'
+		},
+		error: {
+			message: /^Expected a wideGamut of true, "cascade", or "supports"/
+		}
+	},
+	'apca': {
+		message: 'supports apca() usage'
+	},
+	'apca:lc': {
+		message: 'supports apca() usage (checking lightness contrast)',
+		options: {
+			stringifier: color => `${color.toRGBLegacy()} ${
+				color.apcaContrast({ red: 100, green: 100, blue: 100, alpha: 100, colorspace: 'rgb' }).toFixed(2)
+			} ${
+				color.apcaContrast({ red: 0, green: 0, blue: 0, alpha: 100, colorspace: 'rgb' }).toFixed(2)
+			}`
+		}
+	},
+	'blenda': {
+		message: 'supports blenda() usage'
+	},
+	'blenda:legacy': {
+		message: 'supports { premultipliedAlpha: false } usage',
+		options: {
+			premultipliedAlpha: false
+		}
+	},
+	'codemod': {
+		message: 'supports { codemod: true } usage',
+		options: {
+			codemod: true
+		},
+		warnings: 4
+	},
+	'color-mix': {
+		message: 'supports color-mix() usage'
+	},
+	'contrast': {
+		message: 'supports contrast() ratio usage'
+	},
+	'contrast:tolerance': {
+		message: 'supports { contrastTolerance: 1, contrastIterations: 4 } usage',
+		options: {
+			contrastTolerance: 1,
+			contrastIterations: 4
+		}
+	},
+	'contrast:tolerance-invalid': {
+		message: 'supports { contrastTolerance: "x" } usage',
+		options: {
+			contrastTolerance: 'x'
+		},
+		error: {
+			message: /^Expected a contrastTolerance that is a finite positive number/
+		}
+	},
+	'contrast:iterations-invalid': {
+		message: 'supports { contrastIterations: -1 } usage',
+		options: {
+			contrastIterations: -1
+		},
+		error: {
+			message: /^Expected a contrastIterations that is a finite positive number/
+		}
+	},
+	'contrast-audit': {
+		message: 'supports { contrastAudit: true } usage',
+		options: {
+			contrastAudit: true
+		},
+		warnings: 3
+	},
+	'contrast-audit:apca': {
+		message: 'supports { contrastAudit: { method: "apca", threshold: 75 } } usage',
+		options: {
+			contrastAudit: { method: 'apca', threshold: 75 }
+		},
+		warnings: 5,
+		expect: 'contrast-audit.expect.css',
+		result: 'contrast-audit.result.css'
+	},
+	'contrast-audit:zero': {
+		message: 'supports { contrastAudit: { threshold: 0 } } usage',
+		options: {
+			contrastAudit: { threshold: 0 }
+		},
+		warnings: 0,
+		expect: 'contrast-audit.expect.css',
+		result: 'contrast-audit.result.css'
+	},
+	'contrast-audit:preserve': {
+		message: 'supports { contrastAudit: true, preserve: true } usage',
+		options: {
+			contrastAudit: true,
+			preserve: true
+		},
+		warnings: 3
+	},
+	'contrast-audit:method': {
+		message: 'supports { contrastAudit: { method: "wcag3" } } usage',
+		options: {
+			contrastAudit: { method: 'wcag3' }
+		},
+		error: {
+			message: /^Expected a contrastAudit method of "wcag" or "apca"/
+		}
+	},
+	'contrast-audit:invalid': {
+		message: 'supports { contrastAudit: { threshold: "high" } } usage',
+		options: {
+			contrastAudit: { threshold: 'high' }
+		},
+		error: {
+			message: /^Expected a contrastAudit threshold that is a finite number/
+		}
+	},
+	'contrast-white': {
+		message: 'supports contrast() ratio usage against white',
+		options: {
+			stringifier: color => `${color.toRGBLegacy()} ${color.contrastRatio({ red: 100, green: 100, blue: 100, alpha: 100, colorspace: 'rgb' }).toFixed(2)}`
+		}
+	},
+	'contrast-yellow': {
+		message: 'supports contrast() usage against the base color',
+		options: {
+			stringifier: color => `${color.toRGBLegacy()} ${color.contrastRatio({ red: 100, green: 100, blue: 0, alpha: 100 }).toFixed(2)}`
+		}
+	},
+	'custom-properties': {
+		message: 'supports custom properties resolving to colors'
+	},
+	'custom-properties:rewrite': {
+		message: 'supports { rewriteCustomProperties: true } usage',
+		options: {
+			rewriteCustomProperties: true
+		}
+	},
+	'cycle': {
+		message: 'supports cycles of custom properties with { unresolved: "warn" } usage',
+		options: {
+			unresolved: 'warn'
+		},
+		warnings: 12
+	},
+	'export': {
+		message: 'supports { exportTo } usage',
+		warnings: 2,
+		options: {
+			importFrom: { customProperties: { '--imported': 'red' } },
+			exportTo: [
+				'test/export-properties.result.css',
+				'test/export-properties.result.scss',
+				'test/export-properties.result.json',
+				'test/export-properties.result.js',
+				'test/export-properties.result.mjs',
+				'test/export-properties.result.txt',
+				exportToObject,
+				customProperties => Object.assign(exportToFunctionObject, customProperties)
+			]
+		},
+		after() {
+			['css', 'scss', 'json', 'js', 'mjs'].forEach(type => {
+				if (fs.readFileSync(`test/export-properties.result.${type}`, 'utf8') !== fs.readFileSync(`test/export-properties.expect.${type}`, 'utf8')) {
+					throw new Error(`The ${type} file was not exported as expected`);
+				}
+			});
+
+			if (JSON.stringify(exportToObject.customProperties) !== JSON.stringify(exportToFunctionObject)) {
+				throw new Error('The object and function were not exported to as expected');
+			}
+		}
+	},
+	'format': {
+		message: 'supports { format: "legacy" } usage'
+	},
+	'format:hex': {
+		message: 'supports { format: "hex" } usage',
+		options: {
+			format: 'hex'
+		}
+	},
+	'format:modern': {
+		message: 'supports { format: "modern" } usage',
+		options: {
+			format: 'modern'
+		}
+	},
+	'format:shortest': {
+		message: 'supports { format: "shortest" } usage',
+		options: {
+			format: 'shortest'
+		}
+	},
+	'format:invalid': {
+		message: 'supports { format: "hsl" } usage',
+		options: {
+			format: 'hsl'
+		},
+		error: {
+			message: /^Expected a format of "legacy", "modern", "hex", or "shortest"/
+		}
+	},
+	'precision': {
+		message: 'supports { precision: 2 } usage',
+		options: {
+			precision: 2
+		}
+	},
+	'precision:kinds': {
+		message: 'supports { precision: { channel: 1, hue: 0, alpha: 2 } } usage',
+		options: {
+			precision: { channel: 1, hue: 0, alpha: 2 },
+			stringifier: color => `${color.toHSL()} ${color.toLCH()}`
+		}
+	},
+	'precision:methods': {
+		message: 'supports { stringifier(color) { return color.toHSL({ precision }) } } usage',
+		options: {
+			stringifier: color => `${color.toHSL({ precision: 1 })} ${color.toHWB({ precision: { hue: 2 } })} ${color.toRGB({ precision: 0 })} ${color.toLegacy({ precision: { alpha: 1 } })}`
+		}
+	},
 	'basic:transformvars': {
 		message: 'supports { transformVars: false } usage',
 		options: {
@@ -22,7 +371,7 @@ module.exports = {
 		options: {
 			unresolved: 'warn'
 		},
-		warnings: 43,
+		warnings: 56,
 		expect: 'warn.css'
 	},
 	'hex': {
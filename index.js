@@ -1,58 +1,338 @@
-import getCustomProperties from './lib/get-custom-properties';
+import auditContrast from './lib/contrast-audit';
+import exportCustomPropertiesToDestinations, { getExportedDeclName } from './lib/export-to';
+import getCustomProperties, { getRegisteredCustomProperties } from './lib/get-custom-properties';
 import importCustomPropertiesFromSources from './lib/import-from';
+import insertWideGamutDecl from './lib/wide-gamut';
 import parser from 'postcss-value-parser';
+import resolveCustomProperties, { getCustomPropertyColors } from './lib/resolve-custom-properties';
+import { getCustomPropertyScopes, getThemeScope, insertScopedDecl, isScopedDecl } from './lib/scoped-custom-properties';
 import transformAST from './lib/transform';
 
 module.exports = (opts = {}) => {
 	// how unresolved functions and arguments should be handled (default: "throw")
 	const unresolvedOpt = String(Object(opts).unresolved || 'throw').toLowerCase();
 
+	// how transformed colors will be formatted in CSS (default: "legacy")
+	const formatOpt = String(Object(opts).format || 'legacy').toLowerCase();
+
 	// how transformed colors will be produced in CSS
-	const stringifierOpt = Object(opts).stringifier || (color => color.toLegacy());
+	const stringifierOpt = Object(opts).stringifier || (
+		Object.prototype.hasOwnProperty.call(formatStringifiers, formatOpt) ? formatStringifiers[formatOpt] : undefined
+	);
+
+	// how transformed colors outside of a gamut will be mapped into it (default: "css")
+	const gamutMappingOpt = String(Object(opts).gamutMapping || 'css').toLowerCase();
+
+	// how many decimal places transformed colors will be rounded to (default: per format)
+	const precisionOpt = Object(opts).precision;
+
+	// how precisely contrast() and apca() adjusters meet a contrast, as a blend percentage (default: 0.0001)
+	const contrastToleranceOpt = Object(opts).contrastTolerance;
+
+	// the most times contrast() and apca() adjusters may halve a blend to meet a contrast (default: 50)
+	const contrastIterationsOpt = Object(opts).contrastIterations;
+
+	// whether blenda() premultiplies colors by their alpha before blending them (default: true)
+	const premultipliedAlphaOpt = 'premultipliedAlpha' in Object(opts) ? Boolean(opts.premultipliedAlpha) : true;
+
+	// whether color-mod() functions are rewritten into color-mix() and relative color functions (default: false)
+	const codemodOpt = Boolean(Object(opts).codemod);
+
+	// whether the original color-mod() declaration is preserved after its transformed fallback (default: false)
+	const preserveOpt = Boolean(Object(opts).preserve);
+
+	// how colors outside of the sRGB gamut are given wide gamut declarations (default: none)
+	const wideGamutOpt = Object(opts).wideGamut === true ? 'cascade' : String(Object(opts).wideGamut || '').toLowerCase();
+
+	// how the contrast of color and background-color declarations in a rule is audited (default: none)
+	const contrastAuditOpt = Object(opts).contrastAudit || false;
+
+	// whether custom properties resolving to colors are rewritten into static colors (default: false)
+	const rewriteCustomPropertiesOpt = Boolean(Object(opts).rewriteCustomProperties);
+
+	// whether color-mod() declarations are also transformed for each rule scoping custom properties (default: false)
+	const scopedCustomPropertiesOpt = Boolean(Object(opts).scopedCustomProperties);
 
 	// sources to import custom selectors from
 	const importFrom = [].concat(Object(opts).importFrom || []);
 
+	// destinations to export custom properties whose values are colors to
+	const exportTo = [].concat(Object(opts).exportTo || []);
+
+	// themes whose custom properties are imported from their own sources, and which are scoped by a selector or media query
+	const themesOpt = Object.keys(Object(Object(opts).themes)).map(name => Object(opts.themes[name])).filter(
+		theme => theme.selector || theme.media
+	);
+
+	// the name of any theme which is scoped by neither a selector nor a media query
+	const unscopedThemeName = Object.keys(Object(Object(opts).themes)).find(
+		name => !Object(opts.themes[name]).selector && !Object(opts.themes[name]).media
+	);
+
 	// whether var() within color-mod() should use Custom Properties or var() fallback
 	const transformVarsOpt = 'transformVars' in Object(opts) ? opts.transformVars : true;
 
 	// promise any custom selectors are imported
 	const customPropertiesPromise = importCustomPropertiesFromSources(importFrom);
 
+	// promise any custom selectors of each theme are imported
+	const themeCustomPropertiesPromise = Promise.all(themesOpt.map(
+		theme => importCustomPropertiesFromSources([].concat(theme.importFrom || []))
+	));
+
 	return {
 		postcssPlugin: 'postcss-color-mod-function',
-		async Once (root, { result }) {
-			const customProperties = Object.assign(
+		async Once (root, { result, AtRule, Rule }) {
+			if (!stringifierOpt) {
+				throw new Error(`Expected a format of "legacy", "modern", "hex", or "shortest", but found "${formatOpt}"`);
+			}
+
+			if (contrastToleranceOpt !== undefined && !isFinitePositiveNumber(contrastToleranceOpt)) {
+				throw new Error(`Expected a contrastTolerance that is a finite positive number, but found "${contrastToleranceOpt}"`);
+			}
+
+			if (contrastIterationsOpt !== undefined && !isFinitePositiveNumber(contrastIterationsOpt)) {
+				throw new Error(`Expected a contrastIterations that is a finite positive number, but found "${contrastIterationsOpt}"`);
+			}
+
+			if (unscopedThemeName !== undefined) {
+				throw new Error(`Expected the "${unscopedThemeName}" theme to have a selector or media, but found neither`);
+			}
+
+			if (wideGamutOpt && !wideGamutMatch.test(wideGamutOpt)) {
+				throw new Error(`Expected a wideGamut of true, "cascade", or "supports", but found "${Object(opts).wideGamut}"`);
+			}
+
+			// custom properties from @property, imports, html, and :root, where registered custom properties are only used when they are not otherwise defined
+			const rootCustomProperties = Object.assign(
+				getRegisteredCustomProperties(root),
 				await customPropertiesPromise,
 				getCustomProperties(root, { preserve: true })
 			);
 
+			// options used to resolve the colors of custom properties
+			const resolveOpts = {
+				stringifier: stringifierOpt,
+				gamutMapping: gamutMappingOpt,
+				precision: precisionOpt,
+				premultipliedAlpha: premultipliedAlphaOpt,
+				contrastTolerance: contrastToleranceOpt,
+				contrastIterations: contrastIterationsOpt
+			};
+
+			// custom properties, whose colors are resolved once before any declaration is transformed
+			const customProperties = resolveCustomProperties(
+				root,
+				rootCustomProperties,
+				Object.assign({ rewrite: rewriteCustomPropertiesOpt }, resolveOpts)
+			);
+
+			// @supports rules already inserted for rules with wide gamut declarations
+			const supportsRules = new WeakMap();
+
+			// rules defining custom properties outside of html and :root, and the rules already inserted for them
+			const scopes = scopedCustomPropertiesOpt ? getCustomPropertyScopes(root) : [];
+			const scopedRules = new WeakMap();
+
+			// scopes of each theme
+			const themeScopes = (await themeCustomPropertiesPromise).map(
+				(themeCustomProperties, index) => getThemeScope(themesOpt[index], themeCustomProperties, { AtRule, Rule })
+			);
+
+			// custom properties already resolved within each scope, by the scope of the rule of a declaration
+			const scopedCustomProperties = new Map();
+
+			// return custom properties as they are within a scope and the scope of a rule, where the scope of the rule takes precedence
+			const getScopedCustomProperties = (scope, ownScope) => {
+				if (!scopedCustomProperties.has(scope)) {
+					scopedCustomProperties.set(scope, new Map());
+				}
+
+				const customPropertiesByOwnScope = scopedCustomProperties.get(scope);
+
+				if (!customPropertiesByOwnScope.has(ownScope)) {
+					customPropertiesByOwnScope.set(ownScope, resolveCustomProperties(
+						root,
+						Object.assign({}, rootCustomProperties, scope.customProperties, Object(ownScope).customProperties),
+						resolveOpts
+					));
+				}
+
+				return customPropertiesByOwnScope.get(ownScope);
+			};
+
+			// declarations to export and their transformed values, by the names they are exported as
+			const exportedDecls = {};
+
 			root.walkDecls(decl => {
 				const originalValue = decl.value;
 
-				if (colorModFunctionMatch.test(originalValue)) {
+				if (colorModMixFunctionMatch.test(originalValue) || relativeColorFunctionMatch.test(originalValue)) {
+					// the scope of the rule of the declaration, whose custom properties apply to the declaration itself
+					const ownScope = scopes.find(scope => scope.rule === decl.parent);
+					const declCustomProperties = ownScope ? getScopedCustomProperties(ownScope) : customProperties;
+
+					// the values of the declaration within each other scope and theme, where they differ from its own value
+					const scopedValues = isScopedDecl(decl) ? scopes.filter(scope => scope !== ownScope).concat(themeScopes).map(scope => {
+						const scopedAST = parser(originalValue);
+
+						transformAST(scopedAST, {
+							unresolved: 'ignore',
+							stringifier: stringifierOpt,
+							gamutMapping: gamutMappingOpt,
+							precision: precisionOpt,
+							premultipliedAlpha: premultipliedAlphaOpt,
+							contrastTolerance: contrastToleranceOpt,
+							contrastIterations: contrastIterationsOpt,
+							codemod: codemodOpt,
+							transformVars: transformVarsOpt,
+							decl,
+							result,
+							customProperties: getScopedCustomProperties(scope, ownScope)
+						});
+
+						return { scope, value: parser.stringify(scopedAST) };
+					}).filter(
+						scopedValue => !colorModFunctionMatch.test(scopedValue.value)
+					) : [];
+
 					const ast = parser(originalValue);
 
 					transformAST(ast, {
-						unresolved: unresolvedOpt,
+						// a declaration may only be resolved within scopes
+						unresolved: scopedValues.length ? 'ignore' : unresolvedOpt,
 						stringifier: stringifierOpt,
+						gamutMapping: gamutMappingOpt,
+						precision: precisionOpt,
+						premultipliedAlpha: premultipliedAlphaOpt,
+						contrastTolerance: contrastToleranceOpt,
+						contrastIterations: contrastIterationsOpt,
+						codemod: codemodOpt,
 						transformVars: transformVarsOpt,
 						decl,
 						result,
-						customProperties
+						customProperties: declCustomProperties
 					});
 
 					const modifiedValue = parser.stringify(ast);
 
-					if (originalValue !== modifiedValue) {
-						decl.value = modifiedValue;
+					if (exportTo.length && originalValue !== modifiedValue && isExportedDecl(decl, ast)) {
+						const name = getExportedDeclName(decl);
+
+						if (name in exportedDecls) {
+							decl.warn(result, `Expected a declaration exported with a unique name, but ${name} is already exported`);
+						}
+
+						exportedDecls[name] = { decl, value: modifiedValue };
+					}
+
+					scopedValues.filter(scopedValue => scopedValue.value !== modifiedValue).forEach(scopedValue => {
+						insertScopedDecl(decl, scopedValue.scope, scopedValue.value, scopedRules);
+					});
+
+					if (originalValue !== modifiedValue && !(preserveOpt && isPrecededByValue(decl, modifiedValue))) {
+						// the declaration given the transformed value, which is a fallback inserted before a preserved declaration
+						const transformedDecl = preserveOpt ? decl.cloneBefore() : decl;
+
+						transformedDecl.value = modifiedValue;
+
+						if (wideGamutOpt) {
+							const wideGamutAST = parser(originalValue);
+
+							// whether any transformed color falls outside of the sRGB gamut
+							let isWideGamut = false;
+
+							transformAST(wideGamutAST, {
+								unresolved: 'ignore',
+								stringifier: color => {
+									isWideGamut = isWideGamut || !color.inGamut('srgb');
+
+									return color.toColor('display-p3');
+								},
+								gamutMapping: gamutMappingOpt,
+								precision: precisionOpt,
+								premultipliedAlpha: premultipliedAlphaOpt,
+								contrastTolerance: contrastToleranceOpt,
+								contrastIterations: contrastIterationsOpt,
+								codemod: codemodOpt,
+								transformVars: transformVarsOpt,
+								decl,
+								result,
+								customProperties: declCustomProperties
+							});
+
+							if (isWideGamut) {
+								insertWideGamutDecl(transformedDecl, parser.stringify(wideGamutAST), {
+									wideGamut: wideGamutOpt,
+									supportsRules,
+									AtRule
+								});
+							}
+						}
 					}
 				}
 			});
+
+			if (contrastAuditOpt) {
+				auditContrast(root, {
+					contrastAudit: contrastAuditOpt,
+					preserve: preserveOpt,
+					result
+				});
+			}
+
+			if (exportTo.length) {
+				const exportedColors = getCustomPropertyColors(customProperties, resolveOpts);
+
+				// transformed declarations are exported after custom properties, which take precedence over them
+				Object.keys(exportedDecls).forEach(name => {
+					if (name in exportedColors) {
+						exportedDecls[name].decl.warn(result, `Expected a declaration exported with a unique name, but ${name} is already exported`);
+					} else {
+						exportedColors[name] = exportedDecls[name].value;
+					}
+				});
+
+				await exportCustomPropertiesToDestinations(exportedColors, exportTo, { result });
+			}
 		}
 	};
 };
 
 module.exports.postcss = true;
 
+// return whether a declaration is preceded by a declaration of the same property with the value, as when the plugin runs twice
+function isPrecededByValue(decl, value) {
+	let prev = decl.prev();
+
+	while (Object(prev).type === 'decl' && prev.prop === decl.prop) {
+		if (prev.value === value) {
+			return true;
+		}
+
+		prev = prev.prev();
+	}
+
+	return false;
+}
+
 const colorModFunctionMatch = /(^|[^\w-])color-mod\(/i;
+const colorModMixFunctionMatch = /(^|[^\w-])color-(mix|mod)\(/i;
+const customPropertyMatch = /^--[a-zA-Z][\w-]*$/;
+const relativeColorFunctionMatch = /(^|[^\w-])(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*from\s/i;
+const singleColorFunctionMatch = /^\s*(color-(mix|mod)\(|(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*from\s)/i;
+const wideGamutMatch = /^(cascade|supports)$/;
+
+// whether the declaration is exported by the selector of its rule, which is only when its value is a single color function transformed into a color
+const isExportedDecl = (decl, ast) => Object(decl.parent).type === 'rule' && !customPropertyMatch.test(decl.prop) && singleColorFunctionMatch.test(decl.value) && ast.nodes.length === 1 && ast.nodes[0].type === 'word';
+
+// whether the option is a finite number greater than zero
+const isFinitePositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// stringifiers used by each format
+const formatStringifiers = {
+	hex: color => color.toHex(),
+	legacy: color => color.toLegacy(),
+	modern: color => color.toModern(),
+	shortest: color => color.toShortest()
+};
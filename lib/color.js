@@ -1,9 +1,13 @@
 import { rgb2hsl, rgb2hwb, hsl2rgb, hsl2hwb, hwb2rgb, hwb2hsl, rgb2hue } from '@csstools/convert-colors';
+import { convertRGBtoXYZ, convertXYZtoRGB, convertPredefinedToXYZ, convertXYZtoPredefined, convertXYZtoLab, convertLabtoXYZ, convertXYZtoOKLab, convertOKLabtoXYZ, convertLabtoLCH, convertLCHtoLab, convertRGBtoN } from './conversions';
 
 export default class Color {
-	constructor(color) {
+	constructor(color, options) {
 		this.color = Object(Object(color).color || color);
 
+		// options used when producing the color, like how it is mapped into a gamut
+		this.options = Object.assign({}, Object(color).options, options);
+
 		this.color.colorspace = this.color.colorspace
 			? this.color.colorspace
 		: 'red' in color && 'green' in color && 'blue' in color
@@ -12,6 +16,16 @@ export default class Color {
 			? 'hsl'
 		: 'hue' in color && 'whiteness' in color && 'blackness' in color
 			? 'hwb'
+		: 'labL' in color && 'labA' in color && 'labB' in color
+			? 'lab'
+		: 'lchL' in color && 'lchC' in color && 'lchH' in color
+			? 'lch'
+		: 'oklabL' in color && 'oklabA' in color && 'oklabB' in color
+			? 'oklab'
+		: 'oklchL' in color && 'oklchC' in color && 'oklchH' in color
+			? 'oklch'
+		: 'xyzX' in color && 'xyzY' in color && 'xyzZ' in color
+			? 'xyz'
 		: 'unknown';
 
 		if (color.colorspace === 'rgb') {
@@ -24,192 +38,416 @@ export default class Color {
 
 		return alpha === undefined
 			? color.alpha
-		: new Color(assign(color, { alpha }));
+		: new Color(assign(color, { alpha }), this.options);
+	}
+
+	apcaAgainst(color, lc) {
+		const base = this.color;
+
+		return new Color(contrastAgainst(base, color, Math.abs(lc), colors2apcaMagnitude, this.options), this.options);
+	}
+
+	apcaContrast(color) {
+		return colors2apca(this.color, new Color(color).color);
 	}
 
 	blackness(blackness) {
-		const hwb = color2hwb(this.color);
+		const hwb = color2hwb(color2gamut(this.color, 'srgb', this.options));
 
 		return blackness === undefined
 			? hwb.blackness
-		: new Color(assign(hwb, { blackness }));
+		: new Color(assign(hwb, { blackness }), this.options);
 	}
 
-	blend(color, percentage, colorspace = 'rgb') {
+	blend(color, percentage, colorspace = 'rgb', hueMethod = 'shorter') {
 		const base = this.color;
 
-		return new Color(blend(base, color, percentage, colorspace));
+		return new Color(blend(base, color, percentage, colorspace, false, hueMethod), this.options);
 	}
 
-	blenda(color, percentage, colorspace = 'rgb') {
+	blenda(color, percentage, colorspace = 'rgb', hueMethod = 'shorter', isPremultiplied = true) {
 		const base = this.color;
 
-		return new Color(blend(base, color, percentage, colorspace, true));
+		return new Color(blend(base, color, percentage, colorspace, true, hueMethod, isPremultiplied), this.options);
 	}
 
 	blue(blue) {
-		const rgb = color2rgb(this.color);
+		const rgb = color2rgb(color2gamut(this.color, 'srgb', this.options));
 
 		return blue === undefined
 			? rgb.blue
-		: new Color(assign(rgb, { blue }));
+		: new Color(assign(rgb, { blue }), this.options);
 	}
 
 	contrast(percentage) {
 		const base = this.color;
 
-		return new Color(contrast(base, percentage));
+		return new Color(contrast(base, percentage, this.options), this.options);
+	}
+
+	contrastAgainst(color, ratio) {
+		const base = this.color;
+
+		return new Color(contrastAgainst(base, color, ratio, colors2contrast, this.options), this.options);
+	}
+
+	contrastRatio(color) {
+		return colors2contrast(this.color, new Color(color).color);
 	}
 
 	green(green) {
-		const rgb = color2rgb(this.color);
+		const rgb = color2rgb(color2gamut(this.color, 'srgb', this.options));
 
 		return green === undefined
 			? rgb.green
-		: new Color(assign(rgb, { green }));
+		: new Color(assign(rgb, { green }), this.options);
 	}
 
 	hue(hue) {
-		const hsl = color2hsl(this.color);
+		const hsl = color2hsl(color2gamut(this.color, 'srgb', this.options));
 
 		return hue === undefined
 			? hsl.hue
-		: new Color(assign(hsl, { hue }));
+		: new Color(assign(hsl, { hue }), this.options);
+	}
+
+	labA(labA) {
+		const lab = color2lab(this.color);
+
+		return labA === undefined
+			? lab.labA
+		: new Color(assign(lab, { labA }), this.options);
+	}
+
+	labB(labB) {
+		const lab = color2lab(this.color);
+
+		return labB === undefined
+			? lab.labB
+		: new Color(assign(lab, { labB }), this.options);
+	}
+
+	labL(labL) {
+		const lab = color2lab(this.color);
+
+		return labL === undefined
+			? lab.labL
+		: new Color(assign(lab, { labL }), this.options);
+	}
+
+	inGamut(colorSpace = 'srgb') {
+		return isColorInGamut(this.color, colorSpace);
+	}
+
+	lchC(lchC) {
+		const lch = color2lch(this.color);
+
+		return lchC === undefined
+			? lch.lchC
+		: new Color(assign(lch, { lchC }), this.options);
+	}
+
+	lchH(lchH) {
+		const lch = color2lch(this.color);
+
+		return lchH === undefined
+			? lch.lchH
+		: new Color(assign(lch, { lchH }), this.options);
+	}
+
+	lchL(lchL) {
+		const lch = color2lch(this.color);
+
+		return lchL === undefined
+			? lch.lchL
+		: new Color(assign(lch, { lchL }), this.options);
 	}
 
 	lightness(lightness) {
-		const hsl = color2hsl(this.color);
+		const hsl = color2hsl(color2gamut(this.color, 'srgb', this.options));
 
 		return lightness === undefined
 			? hsl.lightness
-		: new Color(assign(hsl, { lightness }))
+		: new Color(assign(hsl, { lightness }), this.options)
+	}
+
+	oklabA(oklabA) {
+		const oklab = color2oklab(this.color);
+
+		return oklabA === undefined
+			? oklab.oklabA
+		: new Color(assign(oklab, { oklabA }), this.options);
+	}
+
+	oklabB(oklabB) {
+		const oklab = color2oklab(this.color);
+
+		return oklabB === undefined
+			? oklab.oklabB
+		: new Color(assign(oklab, { oklabB }), this.options);
+	}
+
+	oklabL(oklabL) {
+		const oklab = color2oklab(this.color);
+
+		return oklabL === undefined
+			? oklab.oklabL
+		: new Color(assign(oklab, { oklabL }), this.options);
+	}
+
+	oklchC(oklchC) {
+		const oklch = color2oklch(this.color);
+
+		return oklchC === undefined
+			? oklch.oklchC
+		: new Color(assign(oklch, { oklchC }), this.options);
+	}
+
+	oklchH(oklchH) {
+		const oklch = color2oklch(this.color);
+
+		return oklchH === undefined
+			? oklch.oklchH
+		: new Color(assign(oklch, { oklchH }), this.options);
+	}
+
+	oklchL(oklchL) {
+		const oklch = color2oklch(this.color);
+
+		return oklchL === undefined
+			? oklch.oklchL
+		: new Color(assign(oklch, { oklchL }), this.options);
 	}
 
 	red(red) {
-		const rgb = color2rgb(this.color);
+		const rgb = color2rgb(color2gamut(this.color, 'srgb', this.options));
 
 		return red === undefined
 			? rgb.red
-		: new Color(assign(rgb, { red }));
+		: new Color(assign(rgb, { red }), this.options);
 	}
 
 	rgb(red, green, blue) {
-		const rgb = color2rgb(this.color);
+		const rgb = color2rgb(color2gamut(this.color, 'srgb', this.options));
 
-		return new Color(assign(rgb, { red, green, blue }));
+		return new Color(assign(rgb, { red, green, blue }), this.options);
 	}
 
 	saturation(saturation) {
-		const hsl = color2hsl(this.color);
+		const hsl = color2hsl(color2gamut(this.color, 'srgb', this.options));
 
 		return saturation === undefined
 			? hsl.saturation
-		: new Color(assign(hsl, { saturation }));
+		: new Color(assign(hsl, { saturation }), this.options);
 	}
 
 	shade(percentage) {
-		const hwb = color2hwb(this.color);
+		const hwb = color2hwb(color2gamut(this.color, 'srgb', this.options));
 		const shade = { hue: 0, whiteness: 0, blackness: 100, colorspace: 'hwb' };
 		const colorspace = 'rgb';
 
 		return percentage === undefined
 			? hwb.blackness
-		: new Color(blend(hwb, shade, percentage, colorspace));
+		: new Color(blend(hwb, shade, percentage, colorspace), this.options);
 	}
 
 	tint(percentage) {
-		const hwb = color2hwb(this.color);
+		const hwb = color2hwb(color2gamut(this.color, 'srgb', this.options));
 		const tint = { hue: 0, whiteness: 100, blackness: 0, colorspace: 'hwb' };
 		const colorspace = 'rgb';
 
 		return percentage === undefined
 			? hwb.blackness
-		: new Color(blend(hwb, tint, percentage, colorspace));
+		: new Color(blend(hwb, tint, percentage, colorspace), this.options);
 	}
 
 	whiteness(whiteness) {
-		const hwb = color2hwb(this.color);
+		const hwb = color2hwb(color2gamut(this.color, 'srgb', this.options));
 
 		return whiteness === undefined
 			? hwb.whiteness
-		: new Color(assign(hwb, { whiteness }));
+		: new Color(assign(hwb, { whiteness }), this.options);
 	}
 
-	toHSL() {
-		return color2hslString(this.color);
+	toColor(colorSpace = 'srgb', options) {
+		return color2colorString(this.color, colorSpace, Object.assign({}, this.options, options));
 	}
 
-	toHWB() {
-		return color2hwbString(this.color);
+	toHex(options) {
+		return color2hexString(color2gamut(this.color, 'srgb', Object.assign({}, this.options, options)));
 	}
 
-	toLegacy() {
-		return color2legacyString(this.color);
+	toHSL(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2hslString(color2gamut(this.color, 'srgb', opts), opts);
 	}
 
-	toRGB() {
-		return color2rgbString(this.color);
+	toHWB(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2hwbString(color2gamut(this.color, 'srgb', opts), opts);
 	}
 
-	toRGBLegacy() {
-		return color2rgbLegacyString(this.color);
+	toLab(options) {
+		return color2labString(this.color, Object.assign({}, this.options, options));
 	}
 
-	toString() {
-		return color2string(this.color);
+	toLCH(options) {
+		return color2lchString(this.color, Object.assign({}, this.options, options));
+	}
+
+	toLegacy(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2legacyString(color2gamut(this.color, 'srgb', opts), opts);
+	}
+
+	toModern(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2rgbModernString(color2gamut(this.color, 'srgb', opts), opts);
+	}
+
+	toOKLab(options) {
+		return color2oklabString(this.color, Object.assign({}, this.options, options));
+	}
+
+	toOKLCH(options) {
+		return color2oklchString(this.color, Object.assign({}, this.options, options));
+	}
+
+	toRGB(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2rgbString(color2gamut(this.color, 'srgb', opts), opts);
+	}
+
+	toRGBLegacy(options) {
+		const opts = Object.assign({}, this.options, options);
+
+		return color2rgbLegacyString(color2gamut(this.color, 'srgb', opts), opts);
+	}
+
+	toShortest(options) {
+		return color2shortestString(color2gamut(this.color, 'srgb', Object.assign({}, this.options, options)));
+	}
+
+	toString(options) {
+		return color2string(this.color, Object.assign({}, this.options, options));
 	}
 }
 
 /* Blending
 /* ========================================================================== */
 
-function blend(base, color, percentage, colorspace, isBlendingAlpha) {
+function blend(base, color, percentage, colorspace, isBlendingAlpha, hueMethod = 'shorter', isPremultiplied = true) {
 	const addition    = percentage / 100;
 	const subtraction = 1 - addition;
 
-	if (colorspace === 'hsl') {
-		const { hue: h1, saturation: s1, lightness: l1, alpha: a1 } = color2hsl(base);
-		const { hue: h2, saturation: s2, lightness: l2, alpha: a2 } = color2hsl(color);
-
-		const [hue, saturation, lightness, alpha] = [
-			h1 * subtraction + h2 * addition,
-			s1 * subtraction + s2 * addition,
-			l1 * subtraction + l2 * addition,
-			isBlendingAlpha
-				? a1 * subtraction + a2 * addition
-			: a1
-		];
-
-		return { hue, saturation, lightness, alpha, colorspace: 'hsl' };
-	} else if (colorspace === 'hwb') {
-		const { hue: h1, whiteness: w1, blackness: b1, alpha: a1 } = color2hwb(base);
-		const { hue: h2, whiteness: w2, blackness: b2, alpha: a2 } = color2hwb(color);
-
-		const [hue, whiteness, blackness, alpha] = [
-			h1 * subtraction + h2 * addition,
-			w1 * subtraction + w2 * addition,
-			b1 * subtraction + b2 * addition,
-			isBlendingAlpha
-				? a1 * subtraction + a2 * addition
-			: a1
-		];
-
-		return { hue, whiteness, blackness, alpha, colorspace: 'hwb' };
-	} else {
-		const { red: r1, green: g1, blue: b1, alpha: a1 } = color2rgb(base);
-		const { red: r2, green: g2, blue: b2, alpha: a2 } = color2rgb(color);
-
-		const [red, green, blue, alpha] = [
-			r1 * subtraction + r2 * addition,
-			g1 * subtraction + g2 * addition,
-			b1 * subtraction + b2 * addition,
-			isBlendingAlpha
-				? a1 * subtraction + a2 * addition
-			: a1
-		];
-
-		return { red, green, blue, alpha, colorspace: 'rgb' };
-	}
+	const { convert, channels, hueChannel, isHuePowerless, revert } = blendColorspaces[colorspace] || blendColorspaces.rgb;
+
+	const color1 = convert(base);
+	const color2 = convert(color);
+
+	const [a1, a2] = [color1.alpha, color2.alpha];
+
+	const alpha = isBlendingAlpha
+		? a1 * subtraction + a2 * addition
+	: a1;
+
+	// whether channels are premultiplied by their alpha, which is only used when blending alpha
+	const isPremultipliedBlend = isBlendingAlpha && isPremultiplied && alpha !== 0;
+
+	const mixedColor = channels.reduce(
+		(blendedColor, channel) => {
+			const [c1, c2] = [color1[channel], color2[channel]];
+
+			blendedColor[channel] = channel === hueChannel
+				// the powerless hue of an achromatic color takes the hue of the other color
+				? isHuePowerless(color1)
+					? blendHue(c2, c2, addition, hueMethod)
+				: isHuePowerless(color2)
+					? blendHue(c1, c1, addition, hueMethod)
+				: blendHue(c1, c2, addition, hueMethod)
+			: isPremultipliedBlend
+				? (c1 * a1 * subtraction + c2 * a2 * addition) / alpha
+			: c1 * subtraction + c2 * addition;
+
+			return blendedColor;
+		},
+		{ alpha, colorspace: blendColorspaces[colorspace] ? colorspace : 'rgb' }
+	);
+
+	// colors blended in predefined color spaces are returned to a supported colorspace
+	return revert
+		? revert(mixedColor)
+	: mixedColor;
+}
+
+// return a hue interpolated between two hues using a hue interpolation method
+function blendHue(hue1, hue2, addition, hueMethod) {
+	// https://drafts.csswg.org/css-color-4/#hue-interpolation
+	const h1 = (hue1 % 360 + 360) % 360;
+	const h2 = (hue2 % 360 + 360) % 360;
+	const difference = h2 - h1;
+
+	// the hues adjusted so that interpolating between them travels in the direction of the method
+	const [adjustedH1, adjustedH2] = hueMethod === 'longer'
+		? difference > 0 && difference < 180
+			? [h1 + 360, h2]
+		: difference > -180 && difference <= 0
+			? [h1, h2 + 360]
+		: [h1, h2]
+	: hueMethod === 'increasing'
+		? difference < 0
+			? [h1, h2 + 360]
+		: [h1, h2]
+	: hueMethod === 'decreasing'
+		? difference > 0
+			? [h1 + 360, h2]
+		: [h1, h2]
+	: difference > 180
+		? [h1 + 360, h2]
+	: difference < -180
+		? [h1, h2 + 360]
+	: [h1, h2];
+
+	return ((adjustedH1 * (1 - addition) + adjustedH2 * addition) % 360 + 360) % 360;
+}
+
+// the conversion, channels, hue channel, and whether the hue is powerless of each colorspace colors are blended in
+const blendColorspaces = {
+	hsl: { convert: color2hsl, channels: ['hue', 'saturation', 'lightness'], hueChannel: 'hue', isHuePowerless: color => !color.saturation },
+	hwb: { convert: color2hwb, channels: ['hue', 'whiteness', 'blackness'], hueChannel: 'hue', isHuePowerless: color => color.whiteness + color.blackness >= 100 },
+	lab: { convert: color2lab, channels: ['labL', 'labA', 'labB'] },
+	lch: { convert: color2lch, channels: ['lchL', 'lchC', 'lchH'], hueChannel: 'lchH', isHuePowerless: color => !color.lchC },
+	oklab: { convert: color2oklab, channels: ['oklabL', 'oklabA', 'oklabB'] },
+	oklch: { convert: color2oklch, channels: ['oklchL', 'oklchC', 'oklchH'], hueChannel: 'oklchH', isHuePowerless: color => !color.oklchC },
+	rgb: { convert: color2rgb, channels: ['red', 'green', 'blue'] },
+	'srgb-linear': predefinedBlendColorspace('srgb-linear'),
+	'display-p3': predefinedBlendColorspace('display-p3'),
+	'a98-rgb': predefinedBlendColorspace('a98-rgb'),
+	'prophoto-rgb': predefinedBlendColorspace('prophoto-rgb'),
+	rec2020: predefinedBlendColorspace('rec2020'),
+	xyz: predefinedBlendColorspace('xyz'),
+	'xyz-d50': predefinedBlendColorspace('xyz-d50'),
+	'xyz-d65': predefinedBlendColorspace('xyz-d65')
+};
+
+// return how colors are blended in the channels of a predefined color space
+function predefinedBlendColorspace(colorSpace) {
+	return {
+		convert(color) {
+			const [ channel1, channel2, channel3 ] = convertXYZtoPredefined(colorSpace, color2xyz(color));
+
+			return { channel1, channel2, channel3, alpha: color.alpha };
+		},
+		channels: ['channel1', 'channel2', 'channel3'],
+		revert(color) {
+			return predefined2color([ color.channel1, color.channel2, color.channel3 ], colorSpace, color.alpha);
+		}
+	};
 }
 
 /* Assign channels to a new instance of a base color
@@ -243,13 +481,18 @@ function assign(base, channels) {
 function normalize(value, channel) {
 	// detect channel
 	const channelIsHue = channel === 'hue';
+	const channelIsPolarHue = polarHueMatch.test(channel);
+	const channelIsUnbounded = unboundedMatch.test(channel);
+	const channelIsChroma = chromaMatch.test(channel);
 
 	// value limitations
-	const min = 0;
-	const max = channelIsHue ? 360 : 100;
+	const min = channelIsUnbounded ? -Infinity : 0;
+	const max = channelIsHue || channelIsPolarHue ? 360 : channelIsUnbounded || channelIsChroma ? Infinity : 100;
 
 	const normalizedValue = Math.min(Math.max(channelIsHue
 		? value % 360
+	: channelIsPolarHue
+		? (value % 360 + 360) % 360
 	: value, min), max);
 
 	return normalizedValue;
@@ -263,7 +506,9 @@ function color2rgb(color) {
 		? hsl2rgb(color.hue, color.saturation, color.lightness)
 	: color.colorspace === 'hwb'
 		? hwb2rgb(color.hue, color.whiteness, color.blackness)
-	: [ color.red, color.green, color.blue ];
+	: color.colorspace === 'rgb'
+		? [ color.red, color.green, color.blue ]
+	: convertXYZtoRGB(...color2xyz(color));
 
 	return { red, green, blue, hue: color.hue, alpha: color.alpha, colorspace: 'rgb' };
 }
@@ -273,7 +518,9 @@ function color2hsl(color) {
 		? rgb2hsl(color.red, color.green, color.blue, color.hue)
 	: color.colorspace === 'hwb'
 		? hwb2hsl(color.hue, color.whiteness, color.blackness)
-	: [ color.hue, color.saturation, color.lightness ];
+	: color.colorspace === 'hsl'
+		? [ color.hue, color.saturation, color.lightness ]
+	: rgb2hsl(...rgbChannels(color2rgb(color)));
 
 	return { hue, saturation, lightness, alpha: color.alpha, colorspace: 'hsl' };
 }
@@ -283,15 +530,202 @@ function color2hwb(color) {
 		? rgb2hwb(color.red, color.green, color.blue, color.hue)
 	: color.colorspace === 'hsl'
 		? hsl2hwb(color.hue, color.saturation, color.lightness)
-	: [ color.hue, color.whiteness, color.blackness ];
+	: color.colorspace === 'hwb'
+		? [ color.hue, color.whiteness, color.blackness ]
+	: rgb2hwb(...rgbChannels(color2rgb(color)));
 
 	return { hue, whiteness, blackness, alpha: color.alpha, colorspace: 'hwb' };
 }
 
+function color2lab(color) {
+	const [ labL, labA, labB ] = color.colorspace === 'lch'
+		? convertLCHtoLab(color.lchL, color.lchC, color.lchH)
+	: color.colorspace === 'lab'
+		? [ color.labL, color.labA, color.labB ]
+	: convertXYZtoLab(...color2xyz(color));
+
+	return { labL, labA, labB, alpha: color.alpha, colorspace: 'lab' };
+}
+
+function color2lch(color) {
+	const [ lchL, lchC, lchH ] = color.colorspace === 'lch'
+		? [ color.lchL, color.lchC, color.lchH ]
+	: convertLabtoLCH(...labChannels(color2lab(color)));
+
+	return { lchL, lchC, lchH, alpha: color.alpha, colorspace: 'lch' };
+}
+
+function color2oklab(color) {
+	const [ oklabL, oklabA, oklabB ] = color.colorspace === 'oklch'
+		? convertLCHtoLab(color.oklchL, color.oklchC, color.oklchH)
+	: color.colorspace === 'oklab'
+		? [ color.oklabL, color.oklabA, color.oklabB ]
+	: convertXYZtoOKLab(...color2xyz(color));
+
+	return { oklabL, oklabA, oklabB, alpha: color.alpha, colorspace: 'oklab' };
+}
+
+function color2oklch(color) {
+	const [ oklchL, oklchC, oklchH ] = color.colorspace === 'oklch'
+		? [ color.oklchL, color.oklchC, color.oklchH ]
+	: convertLabtoLCH(...oklabChannels(color2oklab(color)));
+
+	return { oklchL, oklchC, oklchH, alpha: color.alpha, colorspace: 'oklch' };
+}
+
+// return the D65 XYZ channels of a color, which connect the Lab-like and predefined colorspaces
+function color2xyz(color) {
+	return color.colorspace === 'lab'
+		? convertLabtoXYZ(color.labL, color.labA, color.labB)
+	: color.colorspace === 'lch'
+		? convertLabtoXYZ(...convertLCHtoLab(color.lchL, color.lchC, color.lchH))
+	: color.colorspace === 'oklab'
+		? convertOKLabtoXYZ(color.oklabL, color.oklabA, color.oklabB)
+	: color.colorspace === 'oklch'
+		? convertOKLabtoXYZ(...convertLCHtoLab(color.oklchL, color.oklchC, color.oklchH))
+	: color.colorspace === 'xyz'
+		? [ color.xyzX, color.xyzY, color.xyzZ ]
+	: convertRGBtoXYZ(...rgbChannels(color2rgb(color)));
+}
+
+function rgbChannels(rgb) {
+	return [ rgb.red, rgb.green, rgb.blue ];
+}
+
+function labChannels(lab) {
+	return [ lab.labL, lab.labA, lab.labB ];
+}
+
+function oklabChannels(oklab) {
+	return [ oklab.oklabL, oklab.oklabA, oklab.oklabB ];
+}
+
+/* Gamut mapping
+/* ========================================================================== */
+
+// return a color whose channels fit within the gamut of a predefined color space
+function color2gamut(color, colorSpace, options) {
+	if (unboundedColorSpaceMatch.test(colorSpace)) {
+		return color;
+	}
+
+	const channels = color2predefined(color, colorSpace);
+
+	if (channels.every(isChannelInGamut) && colorSpace === 'srgb' && srgbColorSpaceMatch.test(color.colorspace)) {
+		// return rgb, hsl, and hwb colors that already fit within the sRGB gamut as they are
+		return color;
+	}
+
+	const mappedChannels = channels.every(isChannelInGamut) || options.gamutMapping === 'clip'
+		? channels.map(clipChannel)
+	: oklch2gamutChannels(color2oklch(color), colorSpace);
+
+	return predefined2color(mappedChannels, colorSpace, color.alpha);
+}
+
+// return whether a color fits within the gamut of a predefined color space
+function isColorInGamut(color, colorSpace) {
+	return unboundedColorSpaceMatch.test(colorSpace) || color2predefined(color, colorSpace).every(isChannelInGamut);
+}
+
+// return the channels of a color in a predefined color space, which may fall outside of its gamut
+function color2predefined(color, colorSpace) {
+	// rgb, hsl, and hwb colors are read as sRGB channels, which are stored in the 0 - 100 range
+	return colorSpace === 'srgb' && srgbColorSpaceMatch.test(color.colorspace)
+		? rgbChannels(color2rgb(color)).map(channel => channel / 100)
+	: convertXYZtoPredefined(colorSpace, color2xyz(color));
+}
+
+// return the channels of an OKLCH color mapped into a predefined color space by reducing its chroma
+function oklch2gamutChannels(origin, colorSpace) {
+	// https://drafts.csswg.org/css-color-4/#css-gamut-mapping
+	if (origin.oklchL >= 100) {
+		return [1, 1, 1];
+	} else if (origin.oklchL <= 0) {
+		return [0, 0, 0];
+	}
+
+	const current = Object.assign({}, origin);
+
+	let clipped = oklch2predefined(current, colorSpace).map(clipChannel);
+
+	if (deltaEOK(clipped, current, colorSpace) < gamutJND) {
+		return clipped;
+	}
+
+	let min = 0;
+	let max = origin.oklchC;
+	let minInGamut = true;
+
+	while (max - min > gamutEpsilon) {
+		const chroma = (min + max) / 2;
+
+		current.oklchC = chroma;
+
+		const channels = oklch2predefined(current, colorSpace);
+
+		if (minInGamut && channels.every(isChannelInGamut)) {
+			min = chroma;
+		} else {
+			clipped = channels.map(clipChannel);
+
+			const deltaE = deltaEOK(clipped, current, colorSpace);
+
+			if (deltaE < gamutJND) {
+				if (gamutJND - deltaE < gamutEpsilon) {
+					return clipped;
+				}
+
+				minInGamut = false;
+				min = chroma;
+			} else {
+				max = chroma;
+			}
+		}
+	}
+
+	return clipped;
+}
+
+// return the channels of an OKLCH color in a predefined color space
+function oklch2predefined(oklch, colorSpace) {
+	return convertXYZtoPredefined(colorSpace, color2xyz(oklch));
+}
+
+// return a color from the channels of a predefined color space
+function predefined2color(channels, colorSpace, alpha) {
+	if (colorSpace === 'srgb') {
+		const [ red, green, blue ] = channels.map(channel => channel * 100);
+
+		return { red, green, blue, hue: rgb2hue(red, green, blue), alpha, colorspace: 'rgb' };
+	}
+
+	const [ xyzX, xyzY, xyzZ ] = convertPredefinedToXYZ(colorSpace, channels);
+
+	return { xyzX, xyzY, xyzZ, alpha, predefined: colorSpace, colorspace: 'xyz' };
+}
+
+// return the OKLab distance between the channels of a predefined color space and an OKLCH color
+function deltaEOK(channels, oklch, colorSpace) {
+	const [ l1, a1, b1 ] = convertXYZtoOKLab(...convertPredefinedToXYZ(colorSpace, channels));
+	const [ l2, a2, b2 ] = convertLCHtoLab(oklch.oklchL, oklch.oklchC, oklch.oklchH);
+
+	// OKLab lightness is compared in the 0 - 1 range
+	return Math.sqrt(Math.pow((l1 - l2) / 100, 2) + Math.pow(a1 - a2, 2) + Math.pow(b1 - b2, 2));
+}
+
+function isChannelInGamut(channel) {
+	return channel >= -gamutTolerance && channel <= 1 + gamutTolerance;
+}
+
+function clipChannel(channel) {
+	return Math.min(Math.max(channel, 0), 1);
+}
+
 /* Contrast functions
 /* ========================================================================== */
 
-function contrast(color, percentage) {
+function contrast(color, percentage, options) {
 	// https://drafts.csswg.org/css-color/#contrast-adjuster
 	const hwb = color2hwb(color);
 	const rgb = color2rgb(color);
@@ -311,7 +745,7 @@ function contrast(color, percentage) {
 
 	const minContrastColor = contrastRatio > 4.5
 		// the color with the smallest contrast ratio with the base color that is greater than 4.5
-		? colors2contrastRatioColor(hwb, maxContrastColor)
+		? colors2contrastRatioColor(hwb, maxContrastColor, 4.5, options)
 	// otherwise, the maximum-contrast color
 	: maxContrastColor;
 
@@ -319,6 +753,63 @@ function contrast(color, percentage) {
 	return blend(maxContrastColor, minContrastColor, percentage, 'hwb', false);
 }
 
+// return the color nearest to a color which meets a contrast against a background, measured by a contrast function
+function contrastAgainst(color, background, target, colors2targetContrast, options) {
+	if (colors2targetContrast(color, background) >= target) {
+		return color;
+	}
+
+	const hwb = color2hwb(color);
+
+	// the colors reached by lightening or darkening the color, keeping its hue
+	const lightestColor = { hue: hwb.hue, whiteness: 100, blackness: 0, alpha: hwb.alpha, colorspace: 'hwb' };
+	const darkestColor = { hue: hwb.hue, whiteness: 0, blackness: 100, alpha: hwb.alpha, colorspace: 'hwb' };
+
+	// the smallest blends toward the lightest and darkest colors which meet the contrast
+	const percentages = [lightestColor, darkestColor].map(
+		extremeColor => colors2targetContrast(extremeColor, background) >= target
+			? colors2contrastPercentage(hwb, extremeColor, background, target, colors2targetContrast, options)
+		: Infinity
+	);
+
+	return percentages[0] === Infinity && percentages[1] === Infinity
+		// if neither meets the contrast, the color with the most contrast
+		? colors2targetContrast(lightestColor, background) > colors2targetContrast(darkestColor, background)
+			? lightestColor
+		: darkestColor
+	// otherwise, the nearest of the blends
+	: percentages[0] <= percentages[1]
+		? blend(hwb, lightestColor, percentages[0], 'hwb', false)
+	: blend(hwb, darkestColor, percentages[1], 'hwb', false);
+}
+
+// return the smallest percentage of a blend between two colors which meets a contrast against a background
+function colors2contrastPercentage(color, extremeColor, background, target, colors2targetContrast, options) {
+	// the precision of the percentage, and the most times the blend may be halved to reach it
+	const tolerance = Object(options).contrastTolerance === undefined ? contrastTolerance : Number(options.contrastTolerance);
+	const maxIterations = Object(options).contrastIterations === undefined ? contrastIterations : Number(options.contrastIterations);
+
+	let minPercentage = 0;
+	let maxPercentage = 100;
+
+	for (let iteration = 0; iteration < maxIterations && maxPercentage - minPercentage > tolerance; ++iteration) {
+		const midPercentage = (minPercentage + maxPercentage) / 2;
+
+		// stop once the percentages are too close to be halved any further
+		if (midPercentage === minPercentage || midPercentage === maxPercentage) {
+			break;
+		}
+
+		if (colors2targetContrast(blend(color, extremeColor, midPercentage, 'hwb', false), background) >= target) {
+			maxPercentage = midPercentage;
+		} else {
+			minPercentage = midPercentage;
+		}
+	}
+
+	return maxPercentage;
+}
+
 function colors2contrast(color1, color2) {
 	// https://drafts.csswg.org/css-color/#contrast-ratio
 	const rgb1 = color2rgb(color1);
@@ -335,9 +826,9 @@ function colors2contrast(color1, color2) {
 
 function rgb2luminance(red, green, blue) {
 	const [ redLuminance, greenLuminance, blueLuminance ] = [
-		channel2luminance(red),
-		channel2luminance(green),
-		channel2luminance(blue)
+		channel2luminance(red / 100),
+		channel2luminance(green / 100),
+		channel2luminance(blue / 100)
 	];
 
 	// https://drafts.csswg.org/css-color/#luminance
@@ -353,121 +844,314 @@ function channel2luminance(value) {
 	return luminance;
 }
 
-// return the smallest contrast ratio from a color and a maximum contrast (credit: @thetalecrafter)
-function colors2contrastRatioColor(hwb, maxHWB) {
-	const modifiedHWB = Object.assign({}, hwb);
+// return the APCA lightness contrast (Lc) of a text color against a background color
+function colors2apca(text, background) {
+	// https://github.com/Myndex/apca-w3 (0.0.98G-4g)
+	const textY = rgb2apcaLuminance(color2rgb(text));
+	const backgroundY = rgb2apcaLuminance(color2rgb(background));
 
-	// values to be used for linear interpolations in HWB space
-	let minW = hwb.whiteness;
-	let minB = hwb.blackness;
-	let maxW = maxHWB.whiteness;
-	let maxB = maxHWB.blackness;
+	if (Math.abs(backgroundY - textY) < apcaDeltaYMin) {
+		return 0;
+	}
 
-	// find the color with the smallest contrast ratio with the base color that is greater than 4.5
-	while (Math.abs(minW - maxW) > 100 || Math.abs(minB - maxB) > 100) {
-		const midW = Math.round((maxW + minW) / 2);
-		const midB = Math.round((maxB + minB) / 2);
+	// dark text on a light background is positive, light text on a dark background is negative
+	const sapc = backgroundY > textY
+		? (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14
+	: (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
 
-		modifiedHWB.whiteness = midW;
-		modifiedHWB.blackness = midB;
+	return Math.abs(sapc) < apcaLowClip
+		? 0
+	: sapc > 0
+		? (sapc - apcaLowOffset) * 100
+	: (sapc + apcaLowOffset) * 100;
+}
 
-		if (colors2contrast(modifiedHWB, hwb) > 4.5) {
-			maxW = midW;
-			maxB = midB;
-		} else {
-			minW = midW;
-			minB = midB;
-		}
-	}
+// return the magnitude of the APCA lightness contrast (Lc) of a text color against a background color
+function colors2apcaMagnitude(text, background) {
+	return Math.abs(colors2apca(text, background));
+}
+
+// return the APCA estimated screen luminance of an rgb color, soft clamped near black
+function rgb2apcaLuminance(rgb) {
+	const luminance = 0.2126729 * Math.pow(rgb.red / 100, 2.4)
+		+ 0.7151522 * Math.pow(rgb.green / 100, 2.4)
+		+ 0.0721750 * Math.pow(rgb.blue / 100, 2.4);
+
+	return luminance > apcaBlackThreshold
+		? luminance
+	: luminance + Math.pow(apcaBlackThreshold - luminance, 1.414);
+}
 
-	return modifiedHWB;
+// return the color with the smallest contrast ratio against a color which still meets a ratio, blending toward a maximum contrast color
+function colors2contrastRatioColor(hwb, maxHWB, ratio, options) {
+	const percentage = colors2contrastPercentage(hwb, maxHWB, hwb, ratio, colors2contrast, options);
+
+	return blend(hwb, maxHWB, percentage, 'hwb', false);
 }
 
 /* Match
 /* ========================================================================== */
 
 const blueGreenRedMatch = /^(blue|green|red)$/i;
+const chromaMatch = /^(ok)?lchC$/;
+const polarHueMatch = /^(ok)?lchH$/;
+const unboundedMatch = /^(ok)?lab[AB]$/;
+const srgbColorSpaceMatch = /^(hsl|hwb|rgb)$/;
+const unboundedColorSpaceMatch = /^xyz(-d50|-d65)?$/;
+
+// the just noticeable difference, precision, and tolerance used by gamut mapping
+const gamutJND = 0.02;
+const gamutEpsilon = 0.0001;
+const gamutTolerance = 0.000001;
+
+// the precision of blend percentages found when meeting a contrast, and the most iterations used to find them
+const contrastTolerance = 0.0001;
+const contrastIterations = 50;
+
+// the black threshold, minimum luminance difference, low contrast clip, and low contrast offset used by APCA
+const apcaBlackThreshold = 0.022;
+const apcaDeltaYMin = 0.0005;
+const apcaLowClip = 0.1;
+const apcaLowOffset = 0.027;
 
 /* Stringifiers
 /* ========================================================================== */
 
-function color2string(color) {
+function color2string(color, options) {
 	return color.colorspace === 'hsl'
-		? color2hslString(color)
+		? color2hslString(color, options)
 	: color.colorspace === 'hwb'
-		? color2hwbString(color)
-	: color2rgbString(color);
+		? color2hwbString(color, options)
+	: color.colorspace === 'lab'
+		? color2labString(color, options)
+	: color.colorspace === 'lch'
+		? color2lchString(color, options)
+	: color.colorspace === 'oklab'
+		? color2oklabString(color, options)
+	: color.colorspace === 'oklch'
+		? color2oklchString(color, options)
+	: color.colorspace === 'xyz'
+		? color2colorString(color, color.predefined || 'xyz-d65', options)
+	: color2rgbString(color, options);
 }
 
-function color2hslString(color) {
+function color2hslString(color, options) {
 	const hsl        = color2hsl(color);
 	const isOpaque   = hsl.alpha === 100;
-	const hue        = hsl.hue;
-	const saturation = Math.round(hsl.saturation * 10000000000) / 10000000000;
-	const lightness  = Math.round(hsl.lightness * 10000000000) / 10000000000;
-	const alpha      = Math.round(hsl.alpha * 10000000000) / 10000000000;
+	const hue        = round(hsl.hue, precisionOf(options, 'hue'));
+	const saturation = round(hsl.saturation, precisionOf(options, 'channel'));
+	const lightness  = round(hsl.lightness, precisionOf(options, 'channel'));
+	const alpha      = round(hsl.alpha, precisionOf(options, 'alpha'));
 
 	return `hsl(${hue} ${saturation}% ${lightness}%${isOpaque
 		? ''
 	: ` / ${alpha}%`})`;
 }
 
-function color2hwbString(color) {
+function color2hwbString(color, options) {
 	const hwb       = color2hwb(color);
 	const isOpaque  = hwb.alpha === 100;
-	const hue       = hwb.hue;
-	const whiteness = Math.round(hwb.whiteness * 10000000000) / 10000000000;
-	const blackness = Math.round(hwb.blackness * 10000000000) / 10000000000;
-	const alpha     = Math.round(hwb.alpha * 10000000000) / 10000000000;
+	const hue       = round(hwb.hue, precisionOf(options, 'hue'));
+	const whiteness = round(hwb.whiteness, precisionOf(options, 'channel'));
+	const blackness = round(hwb.blackness, precisionOf(options, 'channel'));
+	const alpha     = round(hwb.alpha, precisionOf(options, 'alpha'));
 
 	return `hwb(${hue} ${whiteness}% ${blackness}%${isOpaque
 		? ''
 	: ` / ${alpha}%`})`;
 }
 
-function color2rgbString(color) {
+function color2labString(color, options) {
+	const lab       = color2lab(color);
+	const isOpaque  = lab.alpha === 100;
+	const lightness = round(lab.labL, precisionOf(options, 'channel'));
+	const a         = round(lab.labA, precisionOf(options, 'channel'));
+	const b         = round(lab.labB, precisionOf(options, 'channel'));
+	const alpha     = round(lab.alpha, precisionOf(options, 'alpha'));
+
+	return `lab(${lightness}% ${a} ${b}${isOpaque
+		? ''
+	: ` / ${alpha}%`})`;
+}
+
+function color2lchString(color, options) {
+	const lch       = color2lch(color);
+	const isOpaque  = lch.alpha === 100;
+	const lightness = round(lch.lchL, precisionOf(options, 'channel'));
+	const chroma    = round(lch.lchC, precisionOf(options, 'channel'));
+	const hue       = round(lch.lchH, precisionOf(options, 'hue'));
+	const alpha     = round(lch.alpha, precisionOf(options, 'alpha'));
+
+	return `lch(${lightness}% ${chroma} ${hue}${isOpaque
+		? ''
+	: ` / ${alpha}%`})`;
+}
+
+function color2oklabString(color, options) {
+	const oklab     = color2oklab(color);
+	const isOpaque  = oklab.alpha === 100;
+	const lightness = round(oklab.oklabL, precisionOf(options, 'channel'));
+	const a         = round(oklab.oklabA, precisionOf(options, 'channel'));
+	const b         = round(oklab.oklabB, precisionOf(options, 'channel'));
+	const alpha     = round(oklab.alpha, precisionOf(options, 'alpha'));
+
+	return `oklab(${lightness}% ${a} ${b}${isOpaque
+		? ''
+	: ` / ${alpha}%`})`;
+}
+
+function color2oklchString(color, options) {
+	const oklch     = color2oklch(color);
+	const isOpaque  = oklch.alpha === 100;
+	const lightness = round(oklch.oklchL, precisionOf(options, 'channel'));
+	const chroma    = round(oklch.oklchC, precisionOf(options, 'channel'));
+	const hue       = round(oklch.oklchH, precisionOf(options, 'hue'));
+	const alpha     = round(oklch.alpha, precisionOf(options, 'alpha'));
+
+	return `oklch(${lightness}% ${chroma} ${hue}${isOpaque
+		? ''
+	: ` / ${alpha}%`})`;
+}
+
+function color2colorString(color, colorSpace, options) {
+	const isOpaque = color.alpha === 100;
+	const channels = convertXYZtoPredefined(colorSpace, color2xyz(color2gamut(color, colorSpace, options))).map(
+		channel => round(channel, precisionOf(options, 'channel'))
+	);
+	const alpha    = round(color.alpha, precisionOf(options, 'alpha'));
+
+	return `color(${colorSpace} ${channels.join(' ')}${isOpaque
+		? ''
+	: ` / ${alpha}%`})`;
+}
+
+function color2rgbString(color, options) {
 	const rgb      = color2rgb(color);
 	const isOpaque = rgb.alpha === 100;
-	const red      = Math.round(rgb.red * 10000000000) / 10000000000;
-	const green    = Math.round(rgb.green * 10000000000) / 10000000000;
-	const blue     = Math.round(rgb.blue * 10000000000) / 10000000000;
-	const alpha    = Math.round(rgb.alpha * 10000000000) / 10000000000;
+	const red      = round(rgb.red, precisionOf(options, 'channel'));
+	const green    = round(rgb.green, precisionOf(options, 'channel'));
+	const blue     = round(rgb.blue, precisionOf(options, 'channel'));
+	const alpha    = round(rgb.alpha, precisionOf(options, 'alpha'));
 
 	return `rgb(${red}% ${green}% ${blue}%${isOpaque
 		? ''
 	: ` / ${alpha}%`})`;
 }
 
-function color2legacyString(color) {
+function color2legacyString(color, options) {
 	return color.colorspace === 'hsl'
-		? color2hslLegacyString(color)
-	: color2rgbLegacyString(color);
+		? color2hslLegacyString(color, options)
+	: color2rgbLegacyString(color, options);
 }
 
-function color2rgbLegacyString(color) {
+function color2rgbLegacyString(color, options) {
 	const rgb      = color2rgb(color);
 	const isOpaque = rgb.alpha === 100;
 	const name     = isOpaque ? 'rgb' : 'rgba';
-	const red      = Math.round(rgb.red * 255 / 100);
-	const green    = Math.round(rgb.green * 255 / 100);
-	const blue     = Math.round(rgb.blue * 255 / 100);
-	const alpha    = Math.round(rgb.alpha / 100 * 10000000000) / 10000000000;
+	const red      = round(rgb.red * 255 / 100, precisionOf(options, 'channel', 0));
+	const green    = round(rgb.green * 255 / 100, precisionOf(options, 'channel', 0));
+	const blue     = round(rgb.blue * 255 / 100, precisionOf(options, 'channel', 0));
+	const alpha    = round(rgb.alpha / 100, precisionOf(options, 'alpha'));
 
 	return `${name}(${red}, ${green}, ${blue}${isOpaque
 		? ''
 	: `, ${alpha}`})`;
 }
 
-function color2hslLegacyString(color) {
+function color2rgbModernString(color, options) {
+	const rgb      = color2rgb(color);
+	const isOpaque = rgb.alpha === 100;
+	const red      = round(rgb.red * 255 / 100, precisionOf(options, 'channel', 0));
+	const green    = round(rgb.green * 255 / 100, precisionOf(options, 'channel', 0));
+	const blue     = round(rgb.blue * 255 / 100, precisionOf(options, 'channel', 0));
+	const alpha    = round(rgb.alpha / 100, precisionOf(options, 'alpha'));
+
+	return `rgb(${red} ${green} ${blue}${isOpaque
+		? ''
+	: ` / ${alpha}`})`;
+}
+
+// return the shortest named, hex, rgb, or hsl color which is exact to 8-bit precision
+function color2shortestString(color) {
+	const rgb      = color2rgb(color);
+	const isOpaque = rgb.alpha === 100;
+	const rgb8     = [rgb.red, rgb.green, rgb.blue].map(channel => Math.round(channel * 255 / 100));
+	const name     = isOpaque && convertRGBtoN(...rgb8);
+
+	// hsl with whole number channels is only used when it describes the same 8-bit color
+	const hsl      = color2hsl(rgb);
+	const hsl8     = [hsl.hue, hsl.saturation, hsl.lightness].map(Math.round);
+	const isHSL    = hsl2rgb(...hsl8).every((channel, index) => Math.round(channel * 255 / 100) === rgb8[index]);
+
+	const candidates = [
+		name,
+		color2hexString(rgb),
+		color2rgbModernString(rgb),
+		color2rgbLegacyString(rgb),
+		isHSL && color2hslModernString({ hue: hsl8[0], saturation: hsl8[1], lightness: hsl8[2], alpha: rgb.alpha, colorspace: 'hsl' })
+	].filter(Boolean);
+
+	return candidates.reduce(
+		(shortest, candidate) => candidate.length < shortest.length ? candidate : shortest
+	);
+}
+
+function color2hslModernString(color, options) {
+	const isOpaque = color.alpha === 100;
+	const alpha    = round(color.alpha / 100, precisionOf(options, 'alpha'));
+
+	return `hsl(${color.hue} ${color.saturation}% ${color.lightness}%${isOpaque
+		? ''
+	: ` / ${alpha}`})`;
+}
+
+function color2hexString(color) {
+	const rgb      = color2rgb(color);
+	const isOpaque = rgb.alpha === 100;
+	const pairs    = [rgb.red, rgb.green, rgb.blue].concat(isOpaque ? [] : rgb.alpha).map(
+		channel => Math.round(channel * 255 / 100).toString(16).padStart(2, '0')
+	);
+
+	// conditionally shorten #rrggbb to #rgb and #rrggbbaa to #rgba
+	const isShortenable = pairs.every(pair => pair[0] === pair[1]);
+
+	return `#${pairs.map(pair => isShortenable ? pair[0] : pair).join('')}`;
+}
+
+function color2hslLegacyString(color, options) {
 	const hsl        = color2hsl(color);
 	const isOpaque   = hsl.alpha === 100;
 	const name       = isOpaque ? 'hsl' : 'hsla';
-	const hue        = hsl.hue;
-	const saturation = Math.round(hsl.saturation * 10000000000) / 10000000000;
-	const lightness  = Math.round(hsl.lightness * 10000000000) / 10000000000;
-	const alpha      = Math.round(hsl.alpha / 100 * 10000000000) / 10000000000;
+	const hue        = round(hsl.hue, precisionOf(options, 'hue'));
+	const saturation = round(hsl.saturation, precisionOf(options, 'channel'));
+	const lightness  = round(hsl.lightness, precisionOf(options, 'channel'));
+	const alpha      = round(hsl.alpha / 100, precisionOf(options, 'alpha'));
 
 	return `${name}(${hue}, ${saturation}%, ${lightness}%${isOpaque
 		? ''
 	: `, ${alpha}`})`;
 }
+
+/* Precision
+/* ========================================================================== */
+
+// return the number of decimal places used for a kind of channel (channel, hue, or alpha)
+function precisionOf(options, kind, defaultPrecision = 10) {
+	const precision = Object(options).precision;
+	const value = typeof precision === 'object' && precision !== null
+		? precision[kind]
+	: precision;
+
+	return value === undefined || value === null || isNaN(value)
+		? defaultPrecision
+	: Math.max(Number(value), 0);
+}
+
+// return a number rounded to a number of decimal places
+function round(value, precision) {
+	const factor = Math.pow(10, precision);
+
+	return precision === Infinity
+		? value
+	: Math.round(value * factor) / factor;
+}
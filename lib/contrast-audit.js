@@ -0,0 +1,78 @@
+import parser from 'postcss-value-parser';
+import { transformColor } from './transform';
+
+// warn when the color and background-color declarations of a rule do not meet a contrast
+export default function auditContrast(root, opts) {
+	const method = String(Object(opts.contrastAudit).method || (
+		typeof opts.contrastAudit === 'string' ? opts.contrastAudit : 'wcag'
+	)).toLowerCase();
+
+	if (!Object.prototype.hasOwnProperty.call(defaultThresholds, method)) {
+		throw new Error(`Expected a contrastAudit method of "wcag" or "apca", but found "${method}"`);
+	}
+
+	const thresholdOpt = Object(opts.contrastAudit).threshold;
+	const threshold = thresholdOpt === undefined ? defaultThresholds[method] : Number(thresholdOpt);
+
+	if (thresholdOpt !== undefined && !Number.isFinite(threshold)) {
+		throw new Error(`Expected a contrastAudit threshold that is a finite number, but found "${thresholdOpt}"`);
+	}
+
+	root.walkRules(rule => {
+		const colorDecl = getLastDecl(rule, colorPropMatch, opts);
+		const backgroundDecl = getLastDecl(rule, backgroundPropMatch, opts);
+
+		if (colorDecl && backgroundDecl) {
+			const color = getDeclColor(colorDecl, opts);
+			const background = getDeclColor(backgroundDecl, opts);
+
+			// translucent colors depend on what is behind them, and are not audited
+			if (color && background && color.alpha() === 100 && background.alpha() === 100) {
+				if (method === 'apca') {
+					const lc = color.apcaContrast(background);
+
+					if (Math.abs(lc) < threshold) {
+						colorDecl.warn(
+							opts.result,
+							`Expected an APCA lightness contrast of at least Lc ${threshold} between ${colorDecl.prop} and ${backgroundDecl.prop}, but found Lc ${Math.round(Math.abs(lc) * 10) / 10}`,
+							{ word: colorDecl.value }
+						);
+					}
+				} else {
+					const ratio = color.contrastRatio(background);
+
+					if (ratio < threshold) {
+						colorDecl.warn(
+							opts.result,
+							`Expected a contrast ratio of at least ${threshold}:1 between ${colorDecl.prop} and ${backgroundDecl.prop}, but found ${Math.round(ratio * 100) / 100}:1`,
+							{ word: colorDecl.value }
+						);
+					}
+				}
+			}
+		}
+	});
+}
+
+// return the last declaration of a rule whose property matches, other than a preserved declaration following its transformed value
+function getLastDecl(rule, propMatch, opts) {
+	return rule.nodes.filter(
+		node => node.type === 'decl' && propMatch.test(node.prop) && !(opts.preserve && colorFunctionMatch.test(node.value))
+	).pop();
+}
+
+// return the color of a declaration whose value is a single color, otherwise undefined
+function getDeclColor(decl, opts) {
+	const nodes = parser(decl.value).nodes.filter(node => node.type !== 'space' && node.type !== 'comment');
+
+	return nodes.length === 1
+		? transformColor(nodes[0], { unresolved: 'ignore', decl, result: opts.result })
+	: undefined;
+}
+
+// the contrast required by each method, when no threshold is given
+const defaultThresholds = { apca: 60, wcag: 4.5 };
+
+const backgroundPropMatch = /^background(-color)?$/i;
+const colorFunctionMatch = /(^|[^\w-])(color-(mix|mod)\(|(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*from\s)/i;
+const colorPropMatch = /^color$/i;
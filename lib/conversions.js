@@ -30,159 +30,18 @@ export function convertTtoD(turn) {
 /* ========================================================================== */
 
 export function convertNtoRGB(name) {
-	const names = {
-		aliceblue: [240, 248, 255],
-		antiquewhite: [250, 235, 215],
-		aqua: [0, 255, 255],
-		aquamarine: [127, 255, 212],
-		azure: [240, 255, 255],
-		beige: [245, 245, 220],
-		bisque: [255, 228, 196],
-		black: [0, 0, 0],
-		blanchedalmond: [255, 235, 205],
-		blue: [0, 0, 255],
-		blueviolet: [138, 43, 226],
-		brown: [165, 42, 42],
-		burlywood: [222, 184, 135],
-		cadetblue: [95, 158, 160],
-		chartreuse: [127, 255, 0],
-		chocolate: [210, 105, 30],
-		coral: [255, 127, 80],
-		cornflowerblue: [100, 149, 237],
-		cornsilk: [255, 248, 220],
-		crimson: [220, 20, 60],
-		cyan: [0, 255, 255],
-		darkblue: [0, 0, 139],
-		darkcyan: [0, 139, 139],
-		darkgoldenrod: [184, 134, 11],
-		darkgray: [169, 169, 169],
-		darkgreen: [0, 100, 0],
-		darkgrey: [169, 169, 169],
-		darkkhaki: [189, 183, 107],
-		darkmagenta: [139, 0, 139],
-		darkolivegreen: [85, 107, 47],
-		darkorange: [255, 140, 0],
-		darkorchid: [153, 50, 204],
-		darkred: [139, 0, 0],
-		darksalmon: [233, 150, 122],
-		darkseagreen: [143, 188, 143],
-		darkslateblue: [72, 61, 139],
-		darkslategray: [47, 79, 79],
-		darkslategrey: [47, 79, 79],
-		darkturquoise: [0, 206, 209],
-		darkviolet: [148, 0, 211],
-		deeppink: [255, 20, 147],
-		deepskyblue: [0, 191, 255],
-		dimgray: [105, 105, 105],
-		dimgrey: [105, 105, 105],
-		dodgerblue: [30, 144, 255],
-		firebrick: [178, 34, 34],
-		floralwhite: [255, 250, 240],
-		forestgreen: [34, 139, 34],
-		fuchsia: [255, 0, 255],
-		gainsboro: [220, 220, 220],
-		ghostwhite: [248, 248, 255],
-		gold: [255, 215, 0],
-		goldenrod: [218, 165, 32],
-		gray: [128, 128, 128],
-		green: [0, 128, 0],
-		greenyellow: [173, 255, 47],
-		grey: [128, 128, 128],
-		honeydew: [240, 255, 240],
-		hotpink: [255, 105, 180],
-		indianred: [205, 92, 92],
-		indigo: [75, 0, 130],
-		ivory: [255, 255, 240],
-		khaki: [240, 230, 140],
-		lavender: [230, 230, 250],
-		lavenderblush: [255, 240, 245],
-		lawngreen: [124, 252, 0],
-		lemonchiffon: [255, 250, 205],
-		lightblue: [173, 216, 230],
-		lightcoral: [240, 128, 128],
-		lightcyan: [224, 255, 255],
-		lightgoldenrodyellow: [250, 250, 210],
-		lightgray: [211, 211, 211],
-		lightgreen: [144, 238, 144],
-		lightgrey: [211, 211, 211],
-		lightpink: [255, 182, 193],
-		lightsalmon: [255, 160, 122],
-		lightseagreen: [32, 178, 170],
-		lightskyblue: [135, 206, 250],
-		lightslategray: [119, 136, 153],
-		lightslategrey: [119, 136, 153],
-		lightsteelblue: [176, 196, 222],
-		lightyellow: [255, 255, 224],
-		lime: [0, 255, 0],
-		limegreen: [50, 205, 50],
-		linen: [250, 240, 230],
-		magenta: [255, 0, 255],
-		maroon: [128, 0, 0],
-		mediumaquamarine: [102, 205, 170],
-		mediumblue: [0, 0, 205],
-		mediumorchid: [186, 85, 211],
-		mediumpurple: [147, 112, 219],
-		mediumseagreen: [60, 179, 113],
-		mediumslateblue: [123, 104, 238],
-		mediumspringgreen: [0, 250, 154],
-		mediumturquoise: [72, 209, 204],
-		mediumvioletred: [199, 21, 133],
-		midnightblue: [25, 25, 112],
-		mintcream: [245, 255, 250],
-		mistyrose: [255, 228, 225],
-		moccasin: [255, 228, 181],
-		navajowhite: [255, 222, 173],
-		navy: [0, 0, 128],
-		oldlace: [253, 245, 230],
-		olive: [128, 128, 0],
-		olivedrab: [107, 142, 35],
-		orange: [255, 165, 0],
-		orangered: [255, 69, 0],
-		orchid: [218, 112, 214],
-		palegoldenrod: [238, 232, 170],
-		palegreen: [152, 251, 152],
-		paleturquoise: [175, 238, 238],
-		palevioletred: [219, 112, 147],
-		papayawhip: [255, 239, 213],
-		peachpuff: [255, 218, 185],
-		peru: [205, 133, 63],
-		pink: [255, 192, 203],
-		plum: [221, 160, 221],
-		powderblue: [176, 224, 230],
-		purple: [128, 0, 128],
-		rebeccapurple: [102, 51, 153],
-		red: [255, 0, 0],
-		rosybrown: [188, 143, 143],
-		royalblue: [65, 105, 225],
-		saddlebrown: [139, 69, 19],
-		salmon: [250, 128, 114],
-		sandybrown: [244, 164, 96],
-		seagreen: [46, 139, 87],
-		seashell: [255, 245, 238],
-		sienna: [160, 82, 45],
-		silver: [192, 192, 192],
-		skyblue: [135, 206, 235],
-		slateblue: [106, 90, 205],
-		slategray: [112, 128, 144],
-		slategrey: [112, 128, 144],
-		snow: [255, 250, 250],
-		springgreen: [0, 255, 127],
-		steelblue: [70, 130, 180],
-		tan: [210, 180, 140],
-		teal: [0, 128, 128],
-		thistle: [216, 191, 216],
-		tomato: [255, 99, 71],
-		transparent: [0, 0, 0],
-		turquoise: [64, 224, 208],
-		violet: [238, 130, 238],
-		wheat: [245, 222, 179],
-		white: [255, 255, 255],
-		whitesmoke: [245, 245, 245],
-		yellow: [255, 255, 0],
-		yellowgreen: [154, 205, 50]
-	};
-
-	return names[name] && names[name].map(c => c / 2.55);
+	// only the own properties of the table are names, and not those inherited like constructor
+	return Object.prototype.hasOwnProperty.call(namedColors, name)
+		? namedColors[name].map(c => c / 2.55)
+	: undefined;
+}
+
+/* Convert Red/Green/Blue to a Name
+/* ========================================================================== */
+
+export function convertRGBtoN(red, green, blue) {
+	// <named-color> for the 8-bit red, green, and blue channels, if one exists
+	return rgbToNamedColors[[red, green, blue].join()];
 }
 
 
@@ -206,3 +65,519 @@ export function convertHtoRGB(hex) {
 }
 
 const hexColorMatch = /^#(?:([a-f0-9])([a-f0-9])([a-f0-9])([a-f0-9])?|([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})?)$/i;
+
+/* Convert Red/Green/Blue to XYZ (D65)
+/* ========================================================================== */
+
+export function convertRGBtoXYZ(red, green, blue) {
+	// sRGB channels are in the 0 - 100 range
+	return convertPredefinedToXYZ('srgb', [red / 100, green / 100, blue / 100]);
+}
+
+/* Convert XYZ (D65) to Red/Green/Blue
+/* ========================================================================== */
+
+export function convertXYZtoRGB(x, y, z) {
+	// sRGB channels are returned in the 0 - 100 range
+	return convertXYZtoPredefined('srgb', [x, y, z]).map(channel => channel * 100);
+}
+
+/* Convert a Predefined Color Space to XYZ (D65)
+/* ========================================================================== */
+
+export function convertPredefinedToXYZ(colorSpace, channels) {
+	const { toLinear, toXYZ, isD50 } = predefinedColorSpaces[colorSpace];
+
+	// linearize the gamma-encoded channels (0 - 1), then convert them to XYZ
+	const xyz = multiplyMatrix(toXYZ, channels.map(toLinear));
+
+	// adapt the D50 white point to the D65 white point
+	return isD50 ? multiplyMatrix(d50ToD65Matrix, xyz) : xyz;
+}
+
+/* Convert XYZ (D65) to a Predefined Color Space
+/* ========================================================================== */
+
+export function convertXYZtoPredefined(colorSpace, xyz) {
+	const { toGamma, fromXYZ, isD50 } = predefinedColorSpaces[colorSpace];
+
+	// adapt the D65 white point to the D50 white point
+	const adaptedXYZ = isD50 ? multiplyMatrix(d65ToD50Matrix, xyz) : xyz;
+
+	// convert XYZ to linear channels, then gamma-encode them (0 - 1)
+	return multiplyMatrix(fromXYZ, adaptedXYZ).map(toGamma);
+}
+
+/* Convert XYZ (D65) to Lab
+/* ========================================================================== */
+
+export function convertXYZtoLab(x, y, z) {
+	// adapt the D65 white point to the D50 white point used by Lab
+	const d50 = multiplyMatrix(d65ToD50Matrix, [x, y, z]);
+
+	const [f1, f2, f3] = d50.map(
+		(value, index) => value / d50White[index]
+	).map(
+		value => value > labEpsilon ? Math.cbrt(value) : (labKappa * value + 16) / 116
+	);
+
+	return [
+		116 * f2 - 16,
+		500 * (f1 - f2),
+		200 * (f2 - f3)
+	];
+}
+
+/* Convert Lab to XYZ (D65)
+/* ========================================================================== */
+
+export function convertLabtoXYZ(lightness, a, b) {
+	const f2 = (lightness + 16) / 116;
+	const f1 = a / 500 + f2;
+	const f3 = f2 - b / 200;
+
+	const d50 = [
+		Math.pow(f1, 3) > labEpsilon ? Math.pow(f1, 3) : (116 * f1 - 16) / labKappa,
+		lightness > labKappa * labEpsilon ? Math.pow(f2, 3) : lightness / labKappa,
+		Math.pow(f3, 3) > labEpsilon ? Math.pow(f3, 3) : (116 * f3 - 16) / labKappa
+	].map(
+		(value, index) => value * d50White[index]
+	);
+
+	// adapt the D50 white point back to the D65 white point
+	return multiplyMatrix(d50ToD65Matrix, d50);
+}
+
+/* Convert Lab or OKLab to LCH or OKLCH
+/* ========================================================================== */
+
+export function convertLabtoLCH(lightness, a, b) {
+	const chroma = Math.sqrt(a * a + b * b);
+
+	// an achromatic color has no chroma and a powerless hue, otherwise the hue is kept positive
+	return chroma < achromaticChroma
+		? [lightness, 0, 0]
+	: [lightness, chroma, (Math.atan2(b, a) * 180 / Math.PI + 360) % 360];
+}
+
+/* Convert LCH or OKLCH to Lab or OKLab
+/* ========================================================================== */
+
+export function convertLCHtoLab(lightness, chroma, hue) {
+	return [
+		lightness,
+		chroma * Math.cos(hue * Math.PI / 180),
+		chroma * Math.sin(hue * Math.PI / 180)
+	];
+}
+
+/* Convert XYZ (D65) to OKLab
+/* ========================================================================== */
+
+export function convertXYZtoOKLab(x, y, z) {
+	// https://drafts.csswg.org/css-color-4/#color-conversion-code
+	const lms = multiplyMatrix([
+		[ 0.8190224379967030, 0.3619062600528904, -0.1288737815209879 ],
+		[ 0.0329836539323885, 0.9292868615863434,  0.0361446663506424 ],
+		[ 0.0481771893596242, 0.2642395317527308,  0.6335478284694309 ]
+	], [x, y, z]).map(Math.cbrt);
+
+	const [lightness, a, b] = multiplyMatrix([
+		[ 0.2104542683093140,  0.7936177747023054, -0.0040720430116193 ],
+		[ 1.9779985324311684, -2.4285922420485799,  0.4505937096174110 ],
+		[ 0.0259040424655478,  0.7827717124575296, -0.8086757549230774 ]
+	], lms);
+
+	// lightness is returned in the 0 - 100 range
+	return [lightness * 100, a, b];
+}
+
+/* Convert OKLab to XYZ (D65)
+/* ========================================================================== */
+
+export function convertOKLabtoXYZ(lightness, a, b) {
+	// https://drafts.csswg.org/css-color-4/#color-conversion-code
+	const lms = multiplyMatrix([
+		[ 1.0000000000000000,  0.3963377773761749,  0.2158037573099136 ],
+		[ 1.0000000000000000, -0.1055613458156586, -0.0638541728258133 ],
+		[ 1.0000000000000000, -0.0894841775298119, -1.2914855480194092 ]
+	], [lightness / 100, a, b]).map(value => Math.pow(value, 3));
+
+	return multiplyMatrix([
+		[  1.2268798758459243, -0.5578149944602171,  0.2813910456659647 ],
+		[ -0.0405757452148008,  1.1122868032803170, -0.0717110580655164 ],
+		[ -0.0763729366746601, -0.4214933324022432,  1.5869240198367816 ]
+	], lms);
+}
+
+/* Conversion helpers
+/* ========================================================================== */
+
+// return a linear-light channel from a gamma-encoded sRGB channel, preserving the sign of extended values
+function convertGammaToLinear(channel) {
+	const abs = Math.abs(channel);
+
+	return abs <= 0.04045
+		? channel / 12.92
+	: Math.sign(channel) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+// return a gamma-encoded sRGB channel from a linear-light channel, preserving the sign of extended values
+function convertLinearToGamma(channel) {
+	const abs = Math.abs(channel);
+
+	return abs > 0.0031308
+		? Math.sign(channel) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+	: channel * 12.92;
+}
+
+// return a linear-light channel from a gamma-encoded a98-rgb channel
+function convertA98GammaToLinear(channel) {
+	return Math.sign(channel) * Math.pow(Math.abs(channel), 563 / 256);
+}
+
+// return a gamma-encoded a98-rgb channel from a linear-light channel
+function convertA98LinearToGamma(channel) {
+	return Math.sign(channel) * Math.pow(Math.abs(channel), 256 / 563);
+}
+
+// return a linear-light channel from a gamma-encoded prophoto-rgb channel
+function convertProPhotoGammaToLinear(channel) {
+	const abs = Math.abs(channel);
+
+	return abs <= 16 / 512
+		? channel / 16
+	: Math.sign(channel) * Math.pow(abs, 1.8);
+}
+
+// return a gamma-encoded prophoto-rgb channel from a linear-light channel
+function convertProPhotoLinearToGamma(channel) {
+	const abs = Math.abs(channel);
+
+	return abs >= 1 / 512
+		? Math.sign(channel) * Math.pow(abs, 1 / 1.8)
+	: channel * 16;
+}
+
+// return a linear-light channel from a gamma-encoded rec2020 channel
+function convertRec2020GammaToLinear(channel) {
+	const abs = Math.abs(channel);
+
+	return abs < rec2020Beta * 4.5
+		? channel / 4.5
+	: Math.sign(channel) * Math.pow((abs + rec2020Alpha - 1) / rec2020Alpha, 1 / 0.45);
+}
+
+// return a gamma-encoded rec2020 channel from a linear-light channel
+function convertRec2020LinearToGamma(channel) {
+	const abs = Math.abs(channel);
+
+	return abs > rec2020Beta
+		? Math.sign(channel) * (rec2020Alpha * Math.pow(abs, 0.45) - (rec2020Alpha - 1))
+	: channel * 4.5;
+}
+
+// return a channel unchanged, as used by linear-light and XYZ color spaces
+function convertLinearToLinear(channel) {
+	return channel;
+}
+
+// return a 3-component vector multiplied by a 3x3 matrix
+function multiplyMatrix(matrix, vector) {
+	return matrix.map(
+		row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+	);
+}
+
+// https://drafts.csswg.org/css-color-4/#color-conversion-code
+const d50White = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const labEpsilon = 216 / 24389;
+const labKappa = 24389 / 27;
+const achromaticChroma = 0.000001;
+
+// Bradford chromatic adaptation between the D65 and D50 white points
+const d65ToD50Matrix = [
+	[  1.0479297925449969,    0.022946870601609652,  -0.05019226628920524  ],
+	[  0.02962780877005599,   0.9904344267538799,    -0.017073799063418826 ],
+	[ -0.009243040646204504,  0.015055191490298152,   0.7518742814281371   ]
+];
+const d50ToD65Matrix = [
+	[  0.955473421488075,    -0.02309845494876471,   0.06325924320057072  ],
+	[ -0.0283697093338637,    1.0099953980813041,    0.021041441191917323 ],
+	[  0.012314014864481998, -0.020507649298898964,  1.330365926242124    ]
+];
+
+// constants of the rec2020 transfer function
+const rec2020Alpha = 1.09929682680944;
+const rec2020Beta = 0.018053968510807;
+
+const identityMatrix = [
+	[ 1, 0, 0 ],
+	[ 0, 1, 0 ],
+	[ 0, 0, 1 ]
+];
+
+const srgbToXYZMatrix = [
+	[ 506752 / 1228815,  87881 / 245763,   12673 /   70218 ],
+	[  87098 /  409605, 175762 / 245763,   12673 /  175545 ],
+	[   7918 /  409605,  87881 / 737289, 1001167 / 1053270 ]
+];
+const xyzToSRGBMatrix = [
+	[   12831 /   3959,    -329 /    214, -1974 /   3959 ],
+	[ -851781 / 878810, 1648619 / 878810, 36519 / 878810 ],
+	[     705 /  12673,   -2585 /  12673,   705 /    667 ]
+];
+
+// https://drafts.csswg.org/css-color-4/#predefined
+const predefinedColorSpaces = {
+	'srgb': {
+		toLinear: convertGammaToLinear,
+		toGamma: convertLinearToGamma,
+		toXYZ: srgbToXYZMatrix,
+		fromXYZ: xyzToSRGBMatrix
+	},
+	'srgb-linear': {
+		toLinear: convertLinearToLinear,
+		toGamma: convertLinearToLinear,
+		toXYZ: srgbToXYZMatrix,
+		fromXYZ: xyzToSRGBMatrix
+	},
+	'display-p3': {
+		toLinear: convertGammaToLinear,
+		toGamma: convertLinearToGamma,
+		toXYZ: [
+			[ 608311 / 1250200, 189793 / 714400,  198249 / 1000160 ],
+			[  35783 /  156275, 247089 / 357200,  198249 / 2500400 ],
+			[      0 /       1,  32229 / 714400, 5220557 / 5000800 ]
+		],
+		fromXYZ: [
+			[ 446124 / 178915, -333277 / 357830, -72051 / 178915 ],
+			[ -14852 /  17905,   63121 /  35810,    423 /  17905 ],
+			[  11844 / 330415,  -50337 / 660830, 316169 / 330415 ]
+		]
+	},
+	'a98-rgb': {
+		toLinear: convertA98GammaToLinear,
+		toGamma: convertA98LinearToGamma,
+		toXYZ: [
+			[ 573536 /  994567,  263643 / 1420810,  187206 /  994567 ],
+			[ 591459 / 1989134, 6239551 / 9945670,  374412 / 4972835 ],
+			[  53769 / 1989134,  351524 / 4972835, 4929758 / 4972835 ]
+		],
+		fromXYZ: [
+			[ 1829569 /  896150, -506331 /   896150, -308931 /  896150 ],
+			[ -851781 /  878810, 1648619 /   878810,   36519 /  878810 ],
+			[   16779 / 1248040, -147721 /  1248040, 1266979 / 1248040 ]
+		]
+	},
+	'prophoto-rgb': {
+		toLinear: convertProPhotoGammaToLinear,
+		toGamma: convertProPhotoLinearToGamma,
+		toXYZ: [
+			[ 0.79776664490064230,  0.13518129740053308,  0.03134773412839220 ],
+			[ 0.28807482881940130,  0.71183523424187300,  0.00008993693872564 ],
+			[ 0.00000000000000000,  0.00000000000000000,  0.82510460251046020 ]
+		],
+		fromXYZ: [
+			[  1.34578688164715830, -0.25557208737979464, -0.05110186497554526 ],
+			[ -0.54463070512490190,  1.50824774284514680,  0.02052744743642139 ],
+			[  0.00000000000000000,  0.00000000000000000,  1.21196754563894520 ]
+		],
+		isD50: true
+	},
+	'rec2020': {
+		toLinear: convertRec2020GammaToLinear,
+		toGamma: convertRec2020LinearToGamma,
+		toXYZ: [
+			[ 63426534 / 99577255,  20160776 / 139408157,  47086771 / 278816314 ],
+			[ 26158966 / 99577255, 472592308 / 697040785,   8267143 / 139408157 ],
+			[        0 /        1,  19567812 / 697040785, 295819943 / 278816314 ]
+		],
+		fromXYZ: [
+			[  30757411 / 17917100, -6372589 / 17917100,  -4539589 / 17917100 ],
+			[ -19765991 / 29648200, 47925759 / 29648200,    467509 / 29648200 ],
+			[    792561 / 44930125, -1921689 / 44930125,  42328811 / 44930125 ]
+		]
+	},
+	'xyz-d50': {
+		toLinear: convertLinearToLinear,
+		toGamma: convertLinearToLinear,
+		toXYZ: identityMatrix,
+		fromXYZ: identityMatrix,
+		isD50: true
+	},
+	'xyz-d65': {
+		toLinear: convertLinearToLinear,
+		toGamma: convertLinearToLinear,
+		toXYZ: identityMatrix,
+		fromXYZ: identityMatrix
+	}
+};
+
+// the xyz color space is an alias of xyz-d65
+predefinedColorSpaces.xyz = predefinedColorSpaces['xyz-d65'];
+
+const namedColors = {
+	aliceblue: [240, 248, 255],
+	antiquewhite: [250, 235, 215],
+	aqua: [0, 255, 255],
+	aquamarine: [127, 255, 212],
+	azure: [240, 255, 255],
+	beige: [245, 245, 220],
+	bisque: [255, 228, 196],
+	black: [0, 0, 0],
+	blanchedalmond: [255, 235, 205],
+	blue: [0, 0, 255],
+	blueviolet: [138, 43, 226],
+	brown: [165, 42, 42],
+	burlywood: [222, 184, 135],
+	cadetblue: [95, 158, 160],
+	chartreuse: [127, 255, 0],
+	chocolate: [210, 105, 30],
+	coral: [255, 127, 80],
+	cornflowerblue: [100, 149, 237],
+	cornsilk: [255, 248, 220],
+	crimson: [220, 20, 60],
+	cyan: [0, 255, 255],
+	darkblue: [0, 0, 139],
+	darkcyan: [0, 139, 139],
+	darkgoldenrod: [184, 134, 11],
+	darkgray: [169, 169, 169],
+	darkgreen: [0, 100, 0],
+	darkgrey: [169, 169, 169],
+	darkkhaki: [189, 183, 107],
+	darkmagenta: [139, 0, 139],
+	darkolivegreen: [85, 107, 47],
+	darkorange: [255, 140, 0],
+	darkorchid: [153, 50, 204],
+	darkred: [139, 0, 0],
+	darksalmon: [233, 150, 122],
+	darkseagreen: [143, 188, 143],
+	darkslateblue: [72, 61, 139],
+	darkslategray: [47, 79, 79],
+	darkslategrey: [47, 79, 79],
+	darkturquoise: [0, 206, 209],
+	darkviolet: [148, 0, 211],
+	deeppink: [255, 20, 147],
+	deepskyblue: [0, 191, 255],
+	dimgray: [105, 105, 105],
+	dimgrey: [105, 105, 105],
+	dodgerblue: [30, 144, 255],
+	firebrick: [178, 34, 34],
+	floralwhite: [255, 250, 240],
+	forestgreen: [34, 139, 34],
+	fuchsia: [255, 0, 255],
+	gainsboro: [220, 220, 220],
+	ghostwhite: [248, 248, 255],
+	gold: [255, 215, 0],
+	goldenrod: [218, 165, 32],
+	gray: [128, 128, 128],
+	green: [0, 128, 0],
+	greenyellow: [173, 255, 47],
+	grey: [128, 128, 128],
+	honeydew: [240, 255, 240],
+	hotpink: [255, 105, 180],
+	indianred: [205, 92, 92],
+	indigo: [75, 0, 130],
+	ivory: [255, 255, 240],
+	khaki: [240, 230, 140],
+	lavender: [230, 230, 250],
+	lavenderblush: [255, 240, 245],
+	lawngreen: [124, 252, 0],
+	lemonchiffon: [255, 250, 205],
+	lightblue: [173, 216, 230],
+	lightcoral: [240, 128, 128],
+	lightcyan: [224, 255, 255],
+	lightgoldenrodyellow: [250, 250, 210],
+	lightgray: [211, 211, 211],
+	lightgreen: [144, 238, 144],
+	lightgrey: [211, 211, 211],
+	lightpink: [255, 182, 193],
+	lightsalmon: [255, 160, 122],
+	lightseagreen: [32, 178, 170],
+	lightskyblue: [135, 206, 250],
+	lightslategray: [119, 136, 153],
+	lightslategrey: [119, 136, 153],
+	lightsteelblue: [176, 196, 222],
+	lightyellow: [255, 255, 224],
+	lime: [0, 255, 0],
+	limegreen: [50, 205, 50],
+	linen: [250, 240, 230],
+	magenta: [255, 0, 255],
+	maroon: [128, 0, 0],
+	mediumaquamarine: [102, 205, 170],
+	mediumblue: [0, 0, 205],
+	mediumorchid: [186, 85, 211],
+	mediumpurple: [147, 112, 219],
+	mediumseagreen: [60, 179, 113],
+	mediumslateblue: [123, 104, 238],
+	mediumspringgreen: [0, 250, 154],
+	mediumturquoise: [72, 209, 204],
+	mediumvioletred: [199, 21, 133],
+	midnightblue: [25, 25, 112],
+	mintcream: [245, 255, 250],
+	mistyrose: [255, 228, 225],
+	moccasin: [255, 228, 181],
+	navajowhite: [255, 222, 173],
+	navy: [0, 0, 128],
+	oldlace: [253, 245, 230],
+	olive: [128, 128, 0],
+	olivedrab: [107, 142, 35],
+	orange: [255, 165, 0],
+	orangered: [255, 69, 0],
+	orchid: [218, 112, 214],
+	palegoldenrod: [238, 232, 170],
+	palegreen: [152, 251, 152],
+	paleturquoise: [175, 238, 238],
+	palevioletred: [219, 112, 147],
+	papayawhip: [255, 239, 213],
+	peachpuff: [255, 218, 185],
+	peru: [205, 133, 63],
+	pink: [255, 192, 203],
+	plum: [221, 160, 221],
+	powderblue: [176, 224, 230],
+	purple: [128, 0, 128],
+	rebeccapurple: [102, 51, 153],
+	red: [255, 0, 0],
+	rosybrown: [188, 143, 143],
+	royalblue: [65, 105, 225],
+	saddlebrown: [139, 69, 19],
+	salmon: [250, 128, 114],
+	sandybrown: [244, 164, 96],
+	seagreen: [46, 139, 87],
+	seashell: [255, 245, 238],
+	sienna: [160, 82, 45],
+	silver: [192, 192, 192],
+	skyblue: [135, 206, 235],
+	slateblue: [106, 90, 205],
+	slategray: [112, 128, 144],
+	slategrey: [112, 128, 144],
+	snow: [255, 250, 250],
+	springgreen: [0, 255, 127],
+	steelblue: [70, 130, 180],
+	tan: [210, 180, 140],
+	teal: [0, 128, 128],
+	thistle: [216, 191, 216],
+	tomato: [255, 99, 71],
+	transparent: [0, 0, 0],
+	turquoise: [64, 224, 208],
+	violet: [238, 130, 238],
+	wheat: [245, 222, 179],
+	white: [255, 255, 255],
+	whitesmoke: [245, 245, 245],
+	yellow: [255, 255, 0],
+	yellowgreen: [154, 205, 50]
+};
+
+// the shortest named-color for each set of 8-bit red, green, and blue channels
+const rgbToNamedColors = Object.keys(namedColors).reduce((rgbToNames, name) => {
+	const rgb = namedColors[name].join();
+	const isShortest = !(rgb in rgbToNames) || name.length < rgbToNames[rgb].length;
+
+	// the transparent keyword also describes the alpha channel
+	if (name !== 'transparent' && isShortest) {
+		rgbToNames[rgb] = name;
+	}
+
+	return rgbToNames;
+}, {});
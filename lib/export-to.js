@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+
+/* Export Custom Properties to CSS File
+/* ========================================================================== */
+
+async function writeCustomPropertiesToCssFile(to, customProperties) {
+	const cssContent = Object.keys(customProperties).reduce((cssLines, prop) => {
+		cssLines.push(`\t${prop}: ${customProperties[prop]};`);
+
+		return cssLines;
+	}, []).join('\n');
+	const css = `:root {\n${cssContent}\n}\n`;
+
+	await writeFile(to, css);
+}
+
+/* Export Custom Properties to SCSS File
+/* ========================================================================== */
+
+async function writeCustomPropertiesToScssFile(to, customProperties) {
+	const scssContent = Object.keys(customProperties).reduce((scssLines, prop) => {
+		scssLines.push(`$${prop.replace(/^--/, '')}: ${customProperties[prop]};`);
+
+		return scssLines;
+	}, []).join('\n');
+	const scss = `${scssContent}\n`;
+
+	await writeFile(to, scss);
+}
+
+/* Export Custom Properties to JSON file
+/* ========================================================================== */
+
+async function writeCustomPropertiesToJsonFile(to, customProperties) {
+	const jsonContent = JSON.stringify({
+		'custom-properties': customProperties
+	}, null, '  ');
+	const json = `${jsonContent}\n`;
+
+	await writeFile(to, json);
+}
+
+/* Export Custom Properties to Common JS file
+/* ========================================================================== */
+
+async function writeCustomPropertiesToCjsFile(to, customProperties) {
+	const jsContents = Object.keys(customProperties).reduce((jsLines, prop) => {
+		jsLines.push(`\t\t'${escapeForJS(prop)}': '${escapeForJS(customProperties[prop])}'`);
+
+		return jsLines;
+	}, []).join(',\n');
+	const js = `module.exports = {\n\tcustomProperties: {\n${jsContents}\n\t}\n};\n`;
+
+	await writeFile(to, js);
+}
+
+/* Export Custom Properties to Module JS file
+/* ========================================================================== */
+
+async function writeCustomPropertiesToMjsFile(to, customProperties) {
+	const mjsContents = Object.keys(customProperties).reduce((mjsLines, prop) => {
+		mjsLines.push(`\t'${escapeForJS(prop)}': '${escapeForJS(customProperties[prop])}'`);
+
+		return mjsLines;
+	}, []).join(',\n');
+	const mjs = `export const customProperties = {\n${mjsContents}\n};\n`;
+
+	await writeFile(to, mjs);
+}
+
+/* Export Custom Properties to Destinations
+/* ========================================================================== */
+
+export default function exportCustomPropertiesToDestinations(customProperties, destinations, opts) {
+	return Promise.all(destinations.map(async destination => {
+		if (destination instanceof Function) {
+			await destination(Object.assign({}, customProperties));
+		} else {
+			// read the destination as an object
+			const destinationOpts = destination === Object(destination) ? destination : { to: String(destination) };
+
+			// transformer for custom properties into a JSON-compatible object
+			const toJSON = destinationOpts.toJSON || (object => Object.assign({}, object));
+
+			if ('customProperties' in destinationOpts) {
+				// write directly to an object as customProperties
+				destinationOpts.customProperties = toJSON(customProperties);
+			} else if ('custom-properties' in destinationOpts) {
+				// write directly to an object as custom-properties
+				destinationOpts['custom-properties'] = toJSON(customProperties);
+			} else {
+				// destination pathname
+				const to = String(destinationOpts.to || '');
+
+				// type of file being written to
+				const type = (destinationOpts.type || path.extname(to).slice(1)).toLowerCase();
+
+				// transformed custom properties
+				const customPropertiesJSON = toJSON(customProperties);
+
+				if (type === 'css') {
+					await writeCustomPropertiesToCssFile(to, customPropertiesJSON);
+				}
+
+				if (type === 'scss') {
+					await writeCustomPropertiesToScssFile(to, customPropertiesJSON);
+				}
+
+				if (type === 'js') {
+					await writeCustomPropertiesToCjsFile(to, customPropertiesJSON);
+				}
+
+				if (type === 'json') {
+					await writeCustomPropertiesToJsonFile(to, customPropertiesJSON);
+				}
+
+				if (type === 'mjs') {
+					await writeCustomPropertiesToMjsFile(to, customPropertiesJSON);
+				}
+
+				if (!exportTypeMatch.test(type)) {
+					opts.result.warn(`Expected an exportTo type of css, js, json, mjs, or scss, but found "${type}" for "${to}"`);
+				}
+			}
+		}
+	}));
+}
+
+/* Export Transformed Declarations
+/* ========================================================================== */
+
+// return the name a transformed declaration is exported as, from the selector of its rule and its property
+export function getExportedDeclName(decl) {
+	const name = `${decl.parent.selector}-${decl.prop}`.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+
+	return `--${name}`;
+}
+
+/* Helper utilities
+/* ========================================================================== */
+
+const writeFile = (to, text) => new Promise((resolve, reject) => {
+	fs.writeFile(to, text, error => {
+		if (error) {
+			reject(error);
+		} else {
+			resolve();
+		}
+	});
+});
+
+const escapeForJS = string => string.replace(/\\([\s\S])|(')/g, '\\$1$2').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+
+const exportTypeMatch = /^(css|js|json|mjs|scss)$/;
@@ -41,11 +41,41 @@ export default function getCustomProperties(root, opts) {
 	return { ...customPropertiesFromHtmlElement, ...customPropertiesFromRootPsuedo };
 }
 
+// return the initial values of custom properties registered by @property with a <color> syntax
+export function getRegisteredCustomProperties(root) {
+	const customPropertiesFromPropertyAtRule = {};
+
+	// for each @property rule
+	root.walkAtRules(propertyAtRuleRegExp, atRule => {
+		const { params: prop } = atRule;
+		const syntaxDecl = getLastDecl(atRule, syntaxRegExp);
+		const initialValueDecl = getLastDecl(atRule, initialValueRegExp);
+
+		// write the parsed initial value to the custom property, when its syntax is a color
+		if (customPropertyRegExp.test(prop) && syntaxDecl && colorSyntaxRegExp.test(syntaxDecl.value) && initialValueDecl) {
+			customPropertiesFromPropertyAtRule[prop] = valueParser(initialValueDecl.value);
+		}
+	});
+
+	return customPropertiesFromPropertyAtRule;
+}
+
+// return the last declaration of a node whose property matches
+const getLastDecl = (node, propRegExp) => Object(node.nodes).length
+	? node.nodes.filter(child => child.type === 'decl' && propRegExp.test(child.prop)).pop()
+: undefined;
+
 // match html and :root rules
 const htmlSelectorRegExp = /^html$/i;
 const rootSelectorRegExp = /^:root$/i;
 const customPropertyRegExp = /^--[a-zA-Z][\w-]*$/;
 
+// match @property rules and their descriptors
+const propertyAtRuleRegExp = /^property$/i;
+const syntaxRegExp = /^syntax$/i;
+const initialValueRegExp = /^initial-value$/i;
+const colorSyntaxRegExp = /^(['"])\s*<color>\s*\1$/;
+
 // whether the node is an html or :root rule
 const isHtmlRule = node => node.type === 'rule' && htmlSelectorRegExp.test(node.selector) && Object(node.nodes).length;
 const isRootRule = node => node.type === 'rule' && rootSelectorRegExp.test(node.selector) && Object(node.nodes).length;
@@ -1,14 +1,18 @@
 import fs from 'fs';
 import path from 'path';
 import postcss from 'postcss';
-import getCustomProperties from './get-custom-properties';
+import getCustomProperties, { getRegisteredCustomProperties } from './get-custom-properties';
 import valueParser from 'postcss-value-parser';
 
 /* Import Custom Properties from CSS AST
 /* ========================================================================== */
 
 function importCustomPropertiesFromCSSAST(root) {
-	return getCustomProperties(root, { preserve: true });
+	// registered custom properties are only used when they are not otherwise defined
+	return Object.assign(
+		getRegisteredCustomProperties(root),
+		getCustomProperties(root, { preserve: true })
+	);
 }
 
 /* Import Custom Properties from CSS File
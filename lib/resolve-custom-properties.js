@@ -0,0 +1,84 @@
+import Color from './color';
+import parser from 'postcss-value-parser';
+import { transformColor, transformVariables } from './transform';
+
+// return custom properties whose colors are resolved up front, conditionally rewriting their declarations
+export default function resolveCustomProperties(root, customProperties, opts) {
+	const resolvedCustomProperties = {};
+
+	// the colors of custom properties that reference var()
+	const rewrittenColors = {};
+
+	Object.keys(customProperties).forEach(prop => {
+		const value = customProperties[prop];
+		const color = getValueColor(value, customProperties, opts);
+
+		// cache the color without rounding it, so later color-mod() functions start from the exact color
+		resolvedCustomProperties[prop] = color
+			? parser(color.toString({ precision: Infinity }))
+		: value;
+
+		if (color && looseVarMatch.test(parser.stringify(value))) {
+			rewrittenColors[prop] = color;
+		}
+	});
+
+	if (opts.rewrite) {
+		// for each html or :root rule
+		root.nodes.filter(isHtmlOrRootRule).forEach(rule => {
+			rule.nodes.filter(isCustomDecl).forEach(decl => {
+				// rewrite the declaration that defines the resolved custom property
+				if (decl.prop in rewrittenColors && decl.value === parser.stringify(customProperties[decl.prop])) {
+					decl.value = opts.stringifier(new Color(rewrittenColors[decl.prop], {
+						gamutMapping: opts.gamutMapping,
+						precision: opts.precision
+					}));
+				}
+			});
+		});
+	}
+
+	return resolvedCustomProperties;
+}
+
+// return the transformed colors of custom properties whose values are colors
+export function getCustomPropertyColors(customProperties, opts) {
+	return Object.keys(customProperties).reduce((customPropertyColors, prop) => {
+		const color = getValueColor(customProperties[prop], customProperties, opts);
+
+		return color
+			? Object.assign(customPropertyColors, {
+				[prop]: opts.stringifier(new Color(color, {
+					gamutMapping: opts.gamutMapping,
+					precision: opts.precision
+				}))
+			})
+		: customPropertyColors;
+	}, {});
+}
+
+// return the color of a custom property value, with any var() resolved, or undefined when it is not a single color
+function getValueColor(value, customProperties, opts) {
+	const ast = JSON.parse(JSON.stringify({ nodes: value.nodes }));
+
+	// colors are transformed with the options of the plugin, where cycles are reported by the declarations using them
+	const transformOpts = Object.assign({}, opts, { unresolved: 'ignore', customProperties });
+
+	transformVariables(ast, transformOpts);
+
+	const nodes = ast.nodes.filter(node => node.type !== 'space' && node.type !== 'comment');
+
+	return nodes.length === 1
+		? transformColor(nodes[0], transformOpts)
+	: undefined;
+}
+
+const customPropertyMatch = /^--[a-zA-Z][\w-]*$/;
+const htmlOrRootSelectorMatch = /^(html|:root)$/i;
+const looseVarMatch = /(^|[^\w-])var\(/i;
+
+// whether the node is an html or :root rule
+const isHtmlOrRootRule = node => node.type === 'rule' && htmlOrRootSelectorMatch.test(node.selector) && Object(node.nodes).length;
+
+// whether the node is a custom property declaration
+const isCustomDecl = node => node.type === 'decl' && customPropertyMatch.test(node.prop);
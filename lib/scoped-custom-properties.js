@@ -0,0 +1,176 @@
+import parser from 'postcss-value-parser';
+
+// return the rules defining custom properties, other than the top-level html and :root rules
+export function getCustomPropertyScopes(root) {
+	const scopes = [];
+
+	root.walkRules(rule => {
+		const customDecls = rule.nodes.filter(isCustomDecl);
+
+		if (customDecls.length && !(rule.parent === root && isHtmlOrRootRule(rule))) {
+			scopes.push({
+				rule,
+				customProperties: customDecls.reduce(
+					(customProperties, decl) => Object.assign(customProperties, { [decl.prop]: parser(decl.value) }),
+					{}
+				)
+			});
+		}
+	});
+
+	return scopes;
+}
+
+// return the scope of a theme, whose rule is detached and wrapped in any media query of the theme
+export function getThemeScope(theme, customProperties, opts) {
+	const rule = new opts.Rule({ selector: theme.selector || ':root' });
+
+	if (theme.media) {
+		new opts.AtRule({ name: 'media', params: theme.media }).append(rule);
+	}
+
+	return { rule, customProperties };
+}
+
+// return whether a declaration is copied into scopes, which excludes custom properties and declarations in html and :root rules
+export function isScopedDecl(decl) {
+	return Object(decl.parent).type === 'rule' && !isHtmlOrRootRule(decl.parent) && !isCustomDecl(decl);
+}
+
+// insert a declaration with the value it has within a scope, in a copy of its rule matching the scope
+export function insertScopedDecl(decl, scope, value, scopedRules) {
+	const rule = decl.parent;
+
+	// the rules already inserted for the rule of the declaration, by scope
+	if (!scopedRules.has(rule)) {
+		scopedRules.set(rule, new Map());
+	}
+
+	const rulesByScope = scopedRules.get(rule);
+
+	// indentation of each level nested within the rule
+	const levelIndent = getIndent(decl).slice(getIndent(rule).length) || '\t';
+
+	if (!rulesByScope.has(scope)) {
+		// the at-rules of the scope, and then the at-rules of the rule
+		const atRules = getAtRules(scope.rule).concat(getAtRules(rule));
+
+		const scopedRule = rule.clone({
+			selector: getScopedSelector(rule, scope.rule),
+			raws: Object.assign({}, rule.raws, atRules.length ? {
+				before: `\n${levelIndent.repeat(atRules.length)}`,
+				after: `\n${levelIndent.repeat(atRules.length)}`
+			} : {
+				before: '\n\n'
+			})
+		}).removeAll();
+
+		// wrap the rule in the at-rules
+		const scopedNode = atRules.reduceRight(
+			(child, atRule, index) => atRule.clone({
+				raws: Object.assign({}, atRule.raws, {
+					before: index ? `\n${levelIndent.repeat(index)}` : '\n\n',
+					after: `\n${levelIndent.repeat(index)}`
+				})
+			}).removeAll().append(child),
+			scopedRule
+		);
+
+		// a copy of the rule already inserted with the declaration, as when the plugin runs twice
+		const existingNode = getNextNodes(getTopLevelNode(rule)).find(
+			node => getScopedNodeKey(node) === getScopedNodeKey(scopedNode) && hasDecl(getInnermostNode(node), decl.prop, value)
+		);
+
+		if (existingNode) {
+			rulesByScope.set(scope, getInnermostNode(existingNode));
+		} else {
+			// insert the rule after the last rule inserted for the declaration, or after the declaration
+			const previousNode = Array.from(rulesByScope.values()).map(getTopLevelNode).pop() || getTopLevelNode(rule);
+
+			previousNode.after(scopedNode);
+
+			rulesByScope.set(scope, scopedRule);
+		}
+	}
+
+	const scopedRule = rulesByScope.get(scope);
+
+	if (!hasDecl(scopedRule, decl.prop, value)) {
+		scopedRule.append(decl.clone({
+			value,
+			raws: Object.assign({}, decl.raws, { before: `\n${getIndent(scopedRule)}${levelIndent}` })
+		}));
+	}
+}
+
+// return the selector of a rule within a scope, which is a descendant of the scope unless the scope is html or :root
+function getScopedSelector(rule, scopeRule) {
+	return isHtmlOrRootRule(scopeRule)
+		? rule.selector
+	: scopeRule.selectors.reduce(
+		(selectors, scopeSelector) => selectors.concat(rule.selectors.map(selector => `${scopeSelector} ${selector}`)),
+		[]
+	).join(', ');
+}
+
+// return the at-rules containing a node, from the outermost
+function getAtRules(node) {
+	const atRules = [];
+
+	for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+		if (parent.type === 'atrule') {
+			atRules.unshift(parent);
+		}
+	}
+
+	return atRules;
+}
+
+// return the nodes following a node
+function getNextNodes(node) {
+	const nextNodes = [];
+
+	for (let next = node.next(); next; next = next.next()) {
+		nextNodes.push(next);
+	}
+
+	return nextNodes;
+}
+
+// return the at-rules and selector identifying a rule wrapped in at-rules
+function getScopedNodeKey(node) {
+	return node.type === 'atrule' && Object(node.nodes).length === 1
+		? `@${node.name} ${node.params} { ${getScopedNodeKey(node.first)} }`
+	: node.type === 'rule'
+		? node.selector
+	: '';
+}
+
+// return the innermost node of a rule wrapped in at-rules
+function getInnermostNode(node) {
+	return node.type === 'atrule' && Object(node.nodes).length === 1 ? getInnermostNode(node.first) : node;
+}
+
+// return whether a rule contains a declaration with the property and value
+function hasDecl(rule, prop, value) {
+	return Object(rule.nodes).some(node => node.type === 'decl' && node.prop === prop && node.value === value);
+}
+
+// return the indentation preceding a node on its line
+function getIndent(node) {
+	return String(Object(node.raws).before || '').replace(/^[\W\w]*\n/, '');
+}
+
+// return the ancestor of a node which is a child of the root
+function getTopLevelNode(node) {
+	return node.parent && node.parent.type !== 'root' ? getTopLevelNode(node.parent) : node;
+}
+
+const customPropertyMatch = /^--[a-zA-Z][\w-]*$/;
+const htmlOrRootSelectorMatch = /^(html|:root)$/i;
+
+// whether the node is an html or :root rule
+const isHtmlOrRootRule = node => node.type === 'rule' && htmlOrRootSelectorMatch.test(node.selector);
+
+// whether the node is a custom property declaration
+const isCustomDecl = node => node.type === 'decl' && customPropertyMatch.test(node.prop);
@@ -1,5 +1,5 @@
 // tooling
-import { convertDtoD, convertGtoD, convertRtoD, convertTtoD, convertNtoRGB, convertHtoRGB } from './conversions';
+import { convertDtoD, convertGtoD, convertRtoD, convertTtoD, convertNtoRGB, convertHtoRGB, convertPredefinedToXYZ } from './conversions';
 import Color from './color';
 import manageUnresolved from './manage-unresolved';
 import parser from 'postcss-value-parser';
@@ -9,20 +9,33 @@ import parser from 'postcss-value-parser';
 
 export default function transformAST(node, opts) {
 	node.nodes.slice(0).forEach((child, index) => {
-		if (isColorModFunction(child)) {
-			// transform any variables within the color-mod() function
+		// rewrite any color-mod() functions into color-mix() and relative color functions
+		const migratedValue = opts.codemod && isColorModFunction(child)
+			? migrateColorModFunction(child, opts)
+		: undefined;
+
+		if (migratedValue !== undefined) {
+			// update the color-mod() function with the migrated value
+			node.nodes.splice(index, 1, {
+				type: 'word',
+				value: migratedValue
+			});
+		} else if (isColorModFunction(child) || !opts.codemod && (isColorMixFunction(child) || isRelativeColorFunction(child))) {
+			// transform any variables within a copy of the color-mod(), color-mix(), or relative color function, leaving an unresolved function unchanged
+			const colorNode = opts.transformVars ? JSON.parse(JSON.stringify(child)) : child;
+
 			if (opts.transformVars) {
-				transformVariables(child, opts);
+				transformVariables(colorNode, opts);
 			}
 
-			// transform any color-mod() functions
-			const color = transformColorModFunction(child, opts);
+			// transform any color-mod(), color-mix(), or relative color functions
+			const color = transformColor(colorNode, opts);
 
 			if (color) {
-				// update the color-mod() function with the transformed value
+				// update the color-mod(), color-mix(), or relative color function with the transformed value
 				node.nodes.splice(index, 1, {
 					type: 'word',
-					value: opts.stringifier(color)
+					value: opts.stringifier(new Color(color, { gamutMapping: opts.gamutMapping, precision: opts.precision }))
 				});
 			}
 		} else if (child.nodes && Object(child.nodes).length) {
@@ -34,7 +47,7 @@ export default function transformAST(node, opts) {
 /* Transform <var> functions
 /* ========================================================================== */
 
-function transformVariables(node, opts) {
+export function transformVariables(node, opts, chain = []) {
 	parser.walk(node.nodes, (child, index, nodes) => {
 		if (isVariable(child)) {
 			// get the custom property and fallback value from var()
@@ -43,15 +56,23 @@ function transformVariables(node, opts) {
 				[transformWord, isComma, transformNode]
 			]);
 
-			// if the custom property is known
-			if (prop in opts.customProperties) {
+			// if the custom property is already being followed, then it references itself
+			if (chain.includes(prop)) {
+				manageUnresolved(
+					child,
+					opts,
+					chain[0],
+					`Expected custom properties without a cycle, but found ${chain.concat(prop).join(' → ')}`
+				);
+			} else if (prop in opts.customProperties) {
+				// otherwise, if the custom property is known
 				let customPropertyValue = opts.customProperties[prop];
 
 				// follow custom properties referencing custom properties
 				if (looseVarMatch.test(parser.stringify(customPropertyValue))) {
 					const rootChildAST = JSON.parse(JSON.stringify({ nodes: customPropertyValue.nodes }));
 
-					transformVariables(rootChildAST, opts);
+					transformVariables(rootChildAST, opts, chain.concat(prop));
 
 					customPropertyValue = rootChildAST;
 				}
@@ -62,12 +83,17 @@ function transformVariables(node, opts) {
 				}
 
 				nodes.splice(nodes.indexOf(child), 1);
-			} else if (fallbackNode && fallbackNode.nodes.length === 1 && fallbackNode.nodes[0].nodes.length) {
+			} else if (fallbackNode) {
 				// otherwise, replace var() with the fallback value
-				transformVariables(fallbackNode, opts);
+				const fallbackAST = { nodes: child.nodes.slice(child.nodes.indexOf(fallbackNode)) };
+
+				transformVariables(fallbackAST, opts, chain);
 
-				nodes.splice(index, 1, ...fallbackNode.nodes[0].nodes[0]);
+				nodes.splice(index, 1, ...fallbackAST.nodes);
 			}
+
+			// the fallback value is transformed above, and is not walked again
+			return false;
 		}
 	});
 }
@@ -75,15 +101,29 @@ function transformVariables(node, opts) {
 /* Transform <color> functions
 /* ========================================================================== */
 
-function transformColor(node, opts) {
-	if (isRGBFunction(node)) {
+export function transformColor(node, opts) {
+	if (isRelativeColorFunction(node)) {
+		return transformRelativeColorFunction(node, opts);
+	} else if (isRGBFunction(node)) {
 		return transformRGBFunction(node, opts);
 	} else if (isHSLFunction(node)) {
 		return transformHSLFunction(node, opts);
 	} else if (isHWBFunction(node)) {
 		return transformHWBFunction(node, opts);
+	} else if (isLabFunction(node)) {
+		return transformLabFunction(node, opts);
+	} else if (isLCHFunction(node)) {
+		return transformLCHFunction(node, opts);
+	} else if (isOKLabFunction(node)) {
+		return transformOKLabFunction(node, opts);
+	} else if (isOKLCHFunction(node)) {
+		return transformOKLCHFunction(node, opts);
+	} else if (isColorFunction(node)) {
+		return transformColorFunction(node, opts);
 	} else if (isColorModFunction(node)) {
 		return transformColorModFunction(node, opts);
+	} else if (isColorMixFunction(node)) {
+		return transformColorMixFunction(node, opts);
 	} else if (isHexColor(node)) {
 		return transformHexColor(node, opts);
 	} else if (isNamedColor(node)) {
@@ -149,6 +189,88 @@ function transformHWBFunction(node, opts) {
 	}
 }
 
+// return a transformed lab color function
+function transformLabFunction(node, opts) {
+	const [labL, labA, labB, alpha = 100] = transformArgsByParams(node, [
+		// [ <percentage> | <number> | none ]{3} [ / [ <alpha-value> | none ] ]?
+		[transformLabLightness, transformLabAxis, transformLabAxis, isSlash, transformAlphaOrNone]
+	]);
+
+	if (labB !== undefined) {
+		const color = new Color({ labL, labA, labB, alpha, colorspace: 'lab' });
+
+		return color;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid lab() function`);
+	}
+}
+
+// return a transformed lch color function
+function transformLCHFunction(node, opts) {
+	const [lchL, lchC, lchH, alpha = 100] = transformArgsByParams(node, [
+		// [ <percentage> | <number> | none ]{2} [ <hue> | none ] [ / [ <alpha-value> | none ] ]?
+		[transformLabLightness, transformLCHChroma, transformHueOrNone, isSlash, transformAlphaOrNone]
+	]);
+
+	if (lchH !== undefined) {
+		const color = new Color({ lchL, lchC, lchH, alpha, colorspace: 'lch' });
+
+		return color;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid lch() function`);
+	}
+}
+
+// return a transformed oklab color function
+function transformOKLabFunction(node, opts) {
+	const [oklabL, oklabA, oklabB, alpha = 100] = transformArgsByParams(node, [
+		// [ <percentage> | <number> | none ]{3} [ / [ <alpha-value> | none ] ]?
+		[transformOKLabLightness, transformOKLabAxis, transformOKLabAxis, isSlash, transformAlphaOrNone]
+	]);
+
+	if (oklabB !== undefined) {
+		const color = new Color({ oklabL, oklabA, oklabB, alpha, colorspace: 'oklab' });
+
+		return color;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid oklab() function`);
+	}
+}
+
+// return a transformed oklch color function
+function transformOKLCHFunction(node, opts) {
+	const [oklchL, oklchC, oklchH, alpha = 100] = transformArgsByParams(node, [
+		// [ <percentage> | <number> | none ]{2} [ <hue> | none ] [ / [ <alpha-value> | none ] ]?
+		[transformOKLabLightness, transformOKLabAxis, transformHueOrNone, isSlash, transformAlphaOrNone]
+	]);
+
+	if (oklchH !== undefined) {
+		const color = new Color({ oklchL, oklchC, oklchH, alpha, colorspace: 'oklch' });
+
+		return color;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid oklch() function`);
+	}
+}
+
+// return a transformed color function using a predefined color space
+function transformColorFunction(node, opts) {
+	const [predefined, channel1, channel2, channel3, alpha = 100] = transformArgsByParams(node, [
+		// <predefined-color-space> [ <percentage> | <number> | none ]{3} [ / [ <alpha-value> | none ] ]?
+		[transformPredefinedColorSpace, transformColorChannel, transformColorChannel, transformColorChannel, isSlash, transformAlphaOrNone]
+	]);
+
+	if (channel3 !== undefined) {
+		const [xyzX, xyzY, xyzZ] = convertPredefinedToXYZ(predefined, [channel1, channel2, channel3]);
+
+		const color = new Color({ xyzX, xyzY, xyzZ, alpha, predefined, colorspace: 'xyz' });
+
+		return color;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid color() function`);
+	}
+}
+
 // return a transformed color-mod color function
 function transformColorModFunction(node, opts) {
 	// [ <color> | <hue> ] <color-adjuster>*
@@ -166,7 +288,12 @@ function transformColorModFunction(node, opts) {
 		: transformColor(colorOrHueNode, opts);
 
 		if (color) {
-			const adjustedColor = transformColorByAdjusters(color, adjusterNodes, opts);
+			// the color is adjusted using the options of the plugin, like how contrast is met
+			const adjustedColor = transformColorByAdjusters(new Color(color, {
+				gamutMapping: opts.gamutMapping,
+				contrastTolerance: opts.contrastTolerance,
+				contrastIterations: opts.contrastIterations
+			}), adjusterNodes, opts);
 
 			return adjustedColor;
 		} else {
@@ -177,6 +304,31 @@ function transformColorModFunction(node, opts) {
 	}
 }
 
+// return a color-mod color function migrated into color-mix() and relative color functions, or undefined when an adjuster has no equivalent
+function migrateColorModFunction(node, opts) {
+	// [ <color> | <hue> ] <color-adjuster>*
+	const [colorOrHueNode, ...adjusterNodes] = node.nodes || [];
+
+	if (colorOrHueNode !== undefined) {
+		const color = isHue(colorOrHueNode)
+			? `hsl(${migrateNumber(transformHue(colorOrHueNode, opts))} 100% 50%)`
+		: migrateColor(colorOrHueNode, opts);
+
+		return color === undefined
+			? undefined
+		: migrateColorByAdjusters(color, adjusterNodes, opts);
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated into color-mix() and relative color functions, or undefined when it cannot be migrated
+function migrateColor(node, opts) {
+	return isColorModFunction(node)
+		? migrateColorModFunction(node, opts)
+	: parser.stringify(node);
+}
+
 // return a transformed hex color
 function transformHexColor(node, opts) {
 	if (hexColorMatch.test(node.value)) {
@@ -197,7 +349,10 @@ function transformNamedColor(node, opts) {
 		// <named-color>
 		const [red, green, blue] = convertNtoRGB(node.value);
 
-		const color = new Color({ red, green, blue, alpha: 100, colorspace: 'rgb' });
+		// the transparent keyword is fully transparent black
+		const alpha = node.value.toLowerCase() === 'transparent' ? 0 : 100;
+
+		const color = new Color({ red, green, blue, alpha, colorspace: 'rgb' });
 
 		return color;
 	} else {
@@ -205,6 +360,194 @@ function transformNamedColor(node, opts) {
 	}
 }
 
+// return a transformed color-mix() function
+function transformColorMixFunction(node, opts) {
+	// color-mix() is supported natively by some browsers, so an unresolved color-mix() is left as it is
+	const mixOpts = Object.assign({}, opts, { unresolved: 'ignore' });
+
+	// the comma separated groups of nodes within the function
+	const [interpolationNode, colorNode1, colorNode2, ...extraNodes] = node.nodes.reduce(
+		(groups, child) => {
+			if (isComma(child)) {
+				groups.push({ nodes: [] });
+			} else {
+				groups[groups.length - 1].nodes.push(child);
+			}
+
+			return groups;
+		},
+		[{ nodes: [] }]
+	);
+
+	const [, colorspace, hueMethod] = transformArgsByParams(interpolationNode, [
+		// in <colorspace> [ <hue-interpolation-method> hue? ]?
+		[transformInKeyword, transformColorMixSpace, transformHueInterpolationMethod, transformHueKeyword]
+	]);
+	const [color1, percentage1] = transformColorAndPercentage(colorNode1);
+	const [color2, percentage2] = transformColorAndPercentage(colorNode2);
+
+	// omitted percentages complete each other, or are both 50%
+	const [p1, p2] = percentage1 === undefined && percentage2 === undefined
+		? [50, 50]
+	: percentage2 === undefined
+		? [percentage1, 100 - percentage1]
+	: percentage1 === undefined
+		? [100 - percentage2, percentage2]
+	: [percentage1, percentage2];
+	const sum = p1 + p2;
+
+	const isValid = colorspace !== undefined && color1 && color2 && !extraNodes.length &&
+		p1 >= 0 && p1 <= 100 && p2 >= 0 && p2 <= 100 && sum > 0 &&
+		(hueMethod === undefined || polarColorSpaceMatch.test(colorspace));
+
+	if (isValid) {
+		const mixedColor = color1.blenda(color2.color, p2 / sum * 100, colorspace, hueMethod, true);
+
+		// percentages adding up to less than 100% make the mixed color more transparent
+		return sum < 100
+			? mixedColor.alpha(mixedColor.alpha() * sum / 100)
+		: mixedColor;
+	} else {
+		return manageUnresolved(node, mixOpts, node.value, `Expected a valid color-mix() function`);
+	}
+}
+
+// return a transformed color and percentage, in either order
+function transformColorAndPercentage(node) {
+	const [colorOrPercentage, percentageOrColor] = Object(node).nodes ? transformArgsByParams(node, [
+		// <color> <percentage>?
+		[transformColor, transformPercentage],
+		// <percentage> <color>
+		[transformPercentage, transformColor]
+	]) : [];
+
+	return Object(colorOrPercentage).color
+		? [colorOrPercentage, percentageOrColor]
+	: [percentageOrColor, colorOrPercentage];
+}
+
+// return a transformed relative color function
+function transformRelativeColorFunction(node, opts) {
+	// relative colors are supported natively by some browsers, so an unresolved relative color is left as it is
+	const relativeOpts = Object.assign({}, opts, { unresolved: 'ignore' });
+
+	// [ rgb | hsl | hwb | lab | lch | oklab | oklch ]
+	const colorspace = node.value.toLowerCase().replace(legacyAlphaMatch, '$1');
+	const channels = relativeColorChannels[colorspace];
+
+	// from <color> <channel>{3} [ / <alpha-value> ]?
+	const [, originNode, ...channelNodes] = node.nodes.filter(child => child.type !== 'space' && child.type !== 'comment');
+	const origin = transformColor(originNode, relativeOpts);
+
+	const isValid = origin && (
+		channelNodes.length === 3 ||
+		channelNodes.length === 5 && isSlash(channelNodes[3])
+	);
+
+	if (isValid) {
+		// the channel keywords resolve to the channels of the origin color
+		const keywords = channels.reduce(
+			(keywordValues, channel) => Object.assign(keywordValues, {
+				[channel.keyword]: origin[channel.channel]() / channel.number
+			}),
+			{ alpha: origin.alpha() / 100 }
+		);
+
+		const color = channels.reduce(
+			(channelValues, channel, index) => Object.assign(channelValues, {
+				[channel.channel]: transformRelativeChannel(channelNodes[index], channel, keywords)
+			}),
+			{
+				alpha: channelNodes.length === 5
+					? transformRelativeChannel(channelNodes[4], relativeAlphaChannel, keywords)
+				: 100,
+				colorspace
+			}
+		);
+
+		if (Object.keys(color).every(channel => color[channel] !== undefined)) {
+			color.alpha = Math.min(Math.max(color.alpha, 0), 100);
+
+			return new Color(color);
+		}
+	}
+
+	return manageUnresolved(node, relativeOpts, node.value, `Expected a valid relative ${colorspace}() function`);
+}
+
+// return a transformed relative color channel, or undefined when it cannot be resolved
+function transformRelativeChannel(node, channel, keywords) {
+	const value = isCalcFunction(node)
+		? transformCalc(node, child => transformRelativeValue(child, channel, keywords))
+	: transformRelativeValue(node, channel, keywords);
+
+	// hues are wrapped into the range of 0 to 360
+	return Number.isFinite(value)
+		? channel.isHue
+			? (value % 360 + 360) % 360
+		: value * channel.number
+	: undefined;
+}
+
+// return a transformed value within a relative color channel, scaled like its channel keywords
+function transformRelativeValue(node, channel, keywords) {
+	const value = Object(node).value;
+
+	return Object(node).type === 'word' && Object.prototype.hasOwnProperty.call(keywords, value.toLowerCase())
+		? keywords[value.toLowerCase()]
+	: isNone(node)
+		? 0
+	: channel.isHue && isHue(node)
+		? transformHue(node, { unresolved: 'ignore' })
+	: isNumber(node)
+		? Number(parser.unit(value).number)
+	: !channel.isHue && isPercentage(node)
+		? Number(parser.unit(value).number) * channel.percentage / channel.number
+	: undefined;
+}
+
+// the channels of each relative color, where each number is scaled by number and each percentage by percentage
+const relativeColorChannels = {
+	rgb: [
+		{ keyword: 'r', channel: 'red', number: 1 / 2.55, percentage: 1 },
+		{ keyword: 'g', channel: 'green', number: 1 / 2.55, percentage: 1 },
+		{ keyword: 'b', channel: 'blue', number: 1 / 2.55, percentage: 1 }
+	],
+	hsl: [
+		{ keyword: 'h', channel: 'hue', number: 1, isHue: true },
+		{ keyword: 's', channel: 'saturation', number: 1, percentage: 1 },
+		{ keyword: 'l', channel: 'lightness', number: 1, percentage: 1 }
+	],
+	hwb: [
+		{ keyword: 'h', channel: 'hue', number: 1, isHue: true },
+		{ keyword: 'w', channel: 'whiteness', number: 1, percentage: 1 },
+		{ keyword: 'b', channel: 'blackness', number: 1, percentage: 1 }
+	],
+	lab: [
+		{ keyword: 'l', channel: 'labL', number: 1, percentage: 1 },
+		{ keyword: 'a', channel: 'labA', number: 1, percentage: 1.25 },
+		{ keyword: 'b', channel: 'labB', number: 1, percentage: 1.25 }
+	],
+	lch: [
+		{ keyword: 'l', channel: 'lchL', number: 1, percentage: 1 },
+		{ keyword: 'c', channel: 'lchC', number: 1, percentage: 1.5 },
+		{ keyword: 'h', channel: 'lchH', number: 1, isHue: true }
+	],
+	oklab: [
+		{ keyword: 'l', channel: 'oklabL', number: 100, percentage: 1 },
+		{ keyword: 'a', channel: 'oklabA', number: 1, percentage: 0.004 },
+		{ keyword: 'b', channel: 'oklabB', number: 1, percentage: 0.004 }
+	],
+	oklch: [
+		{ keyword: 'l', channel: 'oklchL', number: 100, percentage: 1 },
+		{ keyword: 'c', channel: 'oklchC', number: 1, percentage: 0.004 },
+		{ keyword: 'h', channel: 'oklchH', number: 1, isHue: true }
+	]
+};
+
+// the alpha of a relative color, where 1 is 100%
+const relativeAlphaChannel = { keyword: 'alpha', channel: 'alpha', number: 100, percentage: 1 };
+
 /* Transform <color-adjuster> functions
 /* ========================================================================== */
 
@@ -227,6 +570,8 @@ function transformColorByAdjusters(color, adjusterNodes, opts) {
 			return transformBlendAdjuster(base, node, node.value === 'blenda', opts);
 		} else if (isContrastAdjuster(node)) {
 			return transformContrastAdjuster(base, node, opts);
+		} else if (isAPCAAdjuster(node)) {
+			return transformAPCAAdjuster(base, node, opts);
 		} else {
 			manageUnresolved(node, opts, node.value, `Expected a valid color adjuster`);
 
@@ -276,7 +621,8 @@ function transformAlphaBlueGreenRedAdjuster(base, node, opts) {
 			: operatorOrValue === '-'
 				? existingValue - Number(adjustment)
 			: operatorOrValue === '*'
-				? existingValue * Number(adjustment)
+				// the times operator multiplies by the percentage, so that * 50% halves the channel
+				? existingValue * Number(adjustment) / 100
 			: Number(adjustment)
 		: Number(operatorOrValue);
 
@@ -332,9 +678,9 @@ function transformRGBAdjuster(base, node, opts) {
 		return modifiedColor;
 	} else if (arg1 !== undefined && arg2 !== undefined) {
 		const modifiedColor = base.rgb(
-			base.red() * arg2,
-			base.green() * arg2,
-			base.blue() * arg2
+			base.red() * arg2 / 100,
+			base.green() * arg2 / 100,
+			base.blue() * arg2 / 100
 		);
 
 		return modifiedColor;
@@ -345,14 +691,15 @@ function transformRGBAdjuster(base, node, opts) {
 
 // return a transformed color using a blend/blenda adjustment
 function transformBlendAdjuster(base, node, isAlphaBlend, opts) {
-	const [color, percentage, colorspace = 'rgb'] = transformArgsByParams(node, [
-		[transformColor, transformPercentage, transformColorSpace]
+	const [color, percentage, colorspace = 'rgb', hueMethod = 'shorter'] = transformArgsByParams(node, [
+		// <color> <percentage> [ <colorspace> [ <hue-interpolation-method> hue? ]? ]?
+		[transformColor, transformPercentage, transformColorSpace, transformHueInterpolationMethod, transformHueKeyword]
 	]);
 
 	if (percentage !== undefined) {
 		const modifiedColor = isAlphaBlend
-			? base.blenda(color.color, percentage, colorspace)
-		: base.blend(color.color, percentage, colorspace);
+			? base.blenda(color.color, percentage, colorspace, hueMethod, opts.premultipliedAlpha !== false)
+		: base.blend(color.color, percentage, colorspace, hueMethod);
 
 		return modifiedColor;
 	} else {
@@ -366,16 +713,57 @@ function transformContrastAdjuster(base, node, opts) {
 		// <percentage>
 		[transformPercentage]
 	]);
+	const [againstOrNumerator, ...ratioArgs] = transformArgsByParams(node, [
+		// <number> [ : <number> ]?
+		[transformContrastRatio],
+		[transformContrastRatio, transformColon, transformContrastRatio],
+		// against <color> <number> [ : <number> ]?
+		[transformAgainst, transformColor, transformContrastRatio],
+		[transformAgainst, transformColor, transformContrastRatio, transformColon, transformContrastRatio]
+	]);
+
+	// the background color and the numerator and denominator of the contrast ratio
+	const [background, numerator, denominator = 1] = (againstOrNumerator === 'against'
+		? ratioArgs
+	: [base, againstOrNumerator, ...ratioArgs]).filter(arg => arg !== ':');
+	const ratio = numerator / denominator;
 
 	if (percentage !== undefined) {
 		const modifiedColor = base.contrast(percentage);
 
+		return modifiedColor;
+	} else if (numerator !== undefined && ratio >= 1 && ratio <= 21) {
+		const modifiedColor = base.contrastAgainst(background.color, ratio);
+
 		return modifiedColor;
 	} else {
 		return manageUnresolved(node, opts, node.value, `Expected a valid contrast() adjuster)`);
 	}
 }
 
+// return a transformed color using an apca adjustment
+function transformAPCAAdjuster(base, node, opts) {
+	const [againstOrLc, ...lcArgs] = transformArgsByParams(node, [
+		// <number>
+		[transformAPCAContrast],
+		// against <color> <number>
+		[transformAgainst, transformColor, transformAPCAContrast]
+	]);
+
+	// the background color and the lightness contrast
+	const [background, lc] = againstOrLc === 'against'
+		? lcArgs
+	: [base, againstOrLc];
+
+	if (lc !== undefined && Math.abs(lc) <= 108) {
+		const modifiedColor = base.apcaAgainst(background.color, lc);
+
+		return modifiedColor;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid apca() adjuster)`);
+	}
+}
+
 // return a transformed color using a hue adjustment
 function transformHueAdjuster(base, node, opts) {
 	const [operatorOrHue, adjustment] = transformArgsByParams(node, [
@@ -421,7 +809,7 @@ function transformBlacknessLightnessSaturationWhitenessAdjuster(base, node, opts
 			: operatorOrValue === '-'
 				? existingValue - Number(adjustment)
 			: operatorOrValue === '*'
-				? existingValue * Number(adjustment)
+				? existingValue * Number(adjustment) / 100
 			: Number(adjustment)
 		: Number(operatorOrValue);
 
@@ -448,19 +836,259 @@ function transformShadeTintAdjuster(base, node, opts) {
 	}
 }
 
+/* Migrate <color-adjuster> functions
+/* ========================================================================== */
+
+function migrateColorByAdjusters(color, adjusterNodes, opts) {
+	const migratedColor = adjusterNodes.filter((node) => {
+		return node.type !== 'space' && node.type !== 'comment';
+	}).reduce((base, node) => {
+		if (base === undefined) {
+			return base;
+		} else if (isAlphaBlueGreenRedAdjuster(node)) {
+			return migrateAlphaBlueGreenRedAdjuster(base, node);
+		} else if (isRGBAdjuster(node)) {
+			return migrateRGBAdjuster(base, node);
+		} else if (isHueAdjuster(node)) {
+			return migrateHueAdjuster(base, node);
+		} else if (isBlacknessLightnessSaturationWhitenessAdjuster(node)) {
+			return migrateBlacknessLightnessSaturationWhitenessAdjuster(base, node);
+		} else if (isShadeTintAdjuster(node)) {
+			return migrateShadeTintAdjuster(base, node);
+		} else if (isBlendAdjuster(node)) {
+			return migrateBlendAdjuster(base, node, node.value === 'blenda', opts);
+		} else {
+			// contrast(), apca(), and unknown adjusters have no equivalent
+			opts.decl.warn(opts.result, `Expected a color adjuster with a color-mix() or relative color equivalent`, {
+				word: parser.stringify(node)
+			});
+
+			return undefined;
+		}
+	}, color);
+
+	return migratedColor;
+}
+
+// return a color migrated using a/alpha/blue/green/red adjustments
+function migrateAlphaBlueGreenRedAdjuster(base, node) {
+	const [operatorOrValue, adjustment] = transformArgsByParams(node, alphaMatch.test(node.value)
+			// a/alpha adjustments
+			? [
+				[transformMinusPlusOperator, transformAlpha],
+				[transformTimesOperator, transformPercentage],
+				[transformAlpha]
+			]
+		// blue/green/red adjustments
+		: [
+			[transformMinusPlusOperator, transformPercentage],
+			[transformMinusPlusOperator, transformRGBNumber],
+			[transformTimesOperator, transformPercentage],
+			[transformPercentage],
+			[transformRGBNumber]
+		]
+	);
+
+	if (operatorOrValue !== undefined) {
+		// normalized channel keyword, and the scale of the keyword, where the times operator multiplies by the percentage
+		const keyword = alphaMatch.test(node.value) ? 'alpha' : node.value.toLowerCase().slice(0, 1);
+		const scale = keyword === 'alpha' || operatorOrValue === '*' ? 0.01 : 2.55;
+
+		const channel = migrateChannel(keyword, operatorOrValue, adjustment, scale);
+
+		return keyword === 'alpha'
+			? `rgb(from ${base} r g b / ${channel})`
+		: `rgb(from ${base} ${['r', 'g', 'b'].map(rgbKeyword => rgbKeyword === keyword ? channel : rgbKeyword).join(' ')})`;
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated using an rgb adjustment
+function migrateRGBAdjuster(base, node) {
+	const [arg1, arg2, arg3, arg4] = transformArgsByParams(node, [
+			[transformMinusPlusOperator, transformPercentage, transformPercentage, transformPercentage],
+			[transformMinusPlusOperator, transformRGBNumber, transformRGBNumber, transformRGBNumber],
+			[transformMinusPlusOperator, transformHexColor],
+			[transformTimesOperator, transformPercentage]
+		]
+	);
+
+	const [red, green, blue] = arg2 !== undefined && arg2.color
+		? [arg2.red(), arg2.green(), arg2.blue()]
+	: arg3 !== undefined
+		? [arg2, arg3, arg4]
+	: [arg2, arg2, arg2];
+
+	if (arg2 !== undefined) {
+		// the times operator multiplies by the percentage
+		const scale = arg1 === '*' ? 0.01 : 2.55;
+
+		return `rgb(from ${base} ${migrateChannel('r', arg1, red, scale)} ${migrateChannel('g', arg1, green, scale)} ${migrateChannel('b', arg1, blue, scale)})`;
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated using a hue adjustment
+function migrateHueAdjuster(base, node) {
+	const [operatorOrHue, adjustment] = transformArgsByParams(node, [
+		[transformMinusPlusTimesOperator, transformHue],
+		[transformHue]
+	]);
+
+	if (operatorOrHue !== undefined) {
+		return `hsl(from ${base} ${migrateChannel('h', operatorOrHue, adjustment, 1)} s l)`;
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated using blackness/lightness/saturation/whiteness adjustments
+function migrateBlacknessLightnessSaturationWhitenessAdjuster(base, node) {
+	const keyword = node.value.toLowerCase().slice(0, 1);
+	const [operatorOrValue, adjustment] = transformArgsByParams(node, [
+		[transformMinusPlusTimesOperator, transformPercentage],
+		[transformPercentage]
+	]);
+
+	if (operatorOrValue !== undefined) {
+		// the times operator multiplies by the percentage
+		const channel = migrateChannel(keyword, operatorOrValue, adjustment, operatorOrValue === '*' ? 0.01 : 1, '%');
+
+		return keyword === 'b' || keyword === 'w'
+			? `hwb(from ${base} h ${keyword === 'w' ? channel : 'w'} ${keyword === 'b' ? channel : 'b'})`
+		: `hsl(from ${base} h ${keyword === 's' ? channel : 's'} ${keyword === 'l' ? channel : 'l'})`;
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated using shade/tint adjustments
+function migrateShadeTintAdjuster(base, node) {
+	const [percentage] = transformArgsByParams(node, [
+		[transformPercentage]
+	]);
+
+	if (percentage !== undefined) {
+		return `color-mix(in srgb, ${base}, ${node.value.toLowerCase() === 'tint' ? 'white' : 'black'} ${migrateNumber(percentage)}%)`;
+	} else {
+		return undefined;
+	}
+}
+
+// return a color migrated using a blend/blenda adjustment
+function migrateBlendAdjuster(base, node, isAlphaBlend, opts) {
+	const [colorNode, percentage, colorspace = 'rgb', hueMethod] = transformArgsByParams(node, [
+		// <color> <percentage> [ <colorspace> [ <hue-interpolation-method> hue? ]? ]?
+		[transformNode, transformPercentage, transformColorSpace, transformHueInterpolationMethod, transformHueKeyword]
+	]);
+	const color = colorNode && migrateColor(colorNode, opts);
+
+	if (isAlphaBlend && opts.premultipliedAlpha === false) {
+		// color-mix() always premultiplies colors by their alpha
+		opts.decl.warn(opts.result, `Expected premultiplied alpha, as color-mix() has no equivalent to { premultipliedAlpha: false }`, {
+			word: parser.stringify(node)
+		});
+
+		return undefined;
+	} else if (color !== undefined && percentage !== undefined) {
+		const interpolation = `${colorspace === 'rgb' ? 'srgb' : colorspace}${hueMethod ? ` ${hueMethod} hue` : ''}`;
+
+		if (!isAlphaBlend && [base, color].some(value => migratedColorAlpha(value, opts) !== 100)) {
+			// blend() keeps the alpha of the base color, while color-mix() mixes the alpha of translucent colors, which var() may be
+			opts.decl.warn(opts.result, `Expected colors known to be opaque, as color-mix() also mixes the alpha of translucent colors`, {
+				word: parser.stringify(node)
+			});
+		}
+
+		return `color-mix(in ${interpolation}, ${base}, ${color} ${migrateNumber(percentage)}%)`;
+	} else {
+		return undefined;
+	}
+}
+
+// return the alpha of a migrated color, or undefined when it is not known until the color is used, as with var()
+function migratedColorAlpha(value, opts) {
+	const nodes = parser(value).nodes.filter(node => node.type !== 'space' && node.type !== 'comment');
+	const color = nodes.length === 1
+		? transformColor(nodes[0], Object.assign({}, opts, { unresolved: 'ignore' }))
+	: undefined;
+
+	return color
+		? color.alpha()
+	: undefined;
+}
+
+// return a relative color channel migrated from an adjustment, where the scale converts the adjustment into the channel keyword or a multiplier
+function migrateChannel(keyword, operatorOrValue, adjustment, scale, unit = '') {
+	return adjustment === undefined
+		? `${migrateNumber(operatorOrValue * scale)}${unit}`
+	: operatorOrValue === '*'
+		? `calc(${keyword} * ${migrateNumber(adjustment * scale)})`
+	: `calc(${keyword} ${operatorOrValue} ${migrateNumber(adjustment * scale)})`;
+}
+
+// return a number as it is written in CSS
+function migrateNumber(number) {
+	return String(Math.round(number * 1e6) / 1e6);
+}
+
 /* Argument Transforms
 /* ========================================================================== */
 
 // return a transformed color space
 function transformColorSpace(node, opts) {
 	if (isColorSpace(node)) {
-		// [ hsl | hwb | rgb ]
-		return node.value;
+		// [ hsl | hwb | lab | lch | oklab | oklch | rgb ]
+		return node.value.toLowerCase();
 	} else {
 		return manageUnresolved(node, opts, node.value, `Expected a valid color space)`);
 	}
 }
 
+// return a transformed color-mix() colorspace
+function transformColorMixSpace(node, opts) {
+	if (isColorMixSpace(node)) {
+		// [ srgb | srgb-linear | display-p3 | a98-rgb | prophoto-rgb | rec2020 | lab | oklab | xyz | xyz-d50 | xyz-d65 | hsl | hwb | lch | oklch ]
+		const colorspace = node.value.toLowerCase();
+
+		return colorspace === 'srgb' ? 'rgb' : colorspace;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid color-mix() colorspace`);
+	}
+}
+
+// return a transformed in keyword
+function transformInKeyword(node, opts) {
+	if (isInKeyword(node)) {
+		// in
+		return node.value.toLowerCase();
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected an in keyword`);
+	}
+}
+
+// return a transformed hue interpolation method
+function transformHueInterpolationMethod(node, opts) {
+	if (isHueInterpolationMethod(node)) {
+		// [ shorter | longer | increasing | decreasing ]
+		return node.value.toLowerCase();
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid hue interpolation method`);
+	}
+}
+
+// return a transformed hue keyword
+function transformHueKeyword(node, opts) {
+	if (isHueKeyword(node)) {
+		// hue
+		return node.value.toLowerCase();
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a hue keyword`);
+	}
+}
+
 // return a transformed alpha value
 function transformAlpha(node, opts) {
 	if (isNumber(node)) {
@@ -474,6 +1102,74 @@ function transformAlpha(node, opts) {
 	}
 }
 
+// return a transformed predefined color space
+function transformPredefinedColorSpace(node, opts) {
+	if (isPredefinedColorSpace(node)) {
+		// [ srgb | srgb-linear | display-p3 | a98-rgb | prophoto-rgb | rec2020 | xyz | xyz-d50 | xyz-d65 ]
+		return node.value.toLowerCase();
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid predefined color space`);
+	}
+}
+
+// return a transformed color() channel, where 100% is 1
+function transformColorChannel(node, opts) {
+	return transformNumberOrPercentage(node, opts, 1, 0.01);
+}
+
+// return a transformed alpha value or none
+function transformAlphaOrNone(node, opts) {
+	// [ <alpha-value> | none ]
+	return isNone(node) ? 0 : transformAlpha(node, opts);
+}
+
+// return a transformed hue or none
+function transformHueOrNone(node, opts) {
+	// [ <hue> | none ]
+	return isNone(node) ? 0 : transformHue(node, opts);
+}
+
+// return a transformed lab/lch lightness, where 100% is 100
+function transformLabLightness(node, opts) {
+	return transformNumberOrPercentage(node, opts, 1, 1);
+}
+
+// return a transformed lab a/b axis, where 100% is 125
+function transformLabAxis(node, opts) {
+	return transformNumberOrPercentage(node, opts, 1, 1.25);
+}
+
+// return a transformed lch chroma, where 100% is 150
+function transformLCHChroma(node, opts) {
+	return transformNumberOrPercentage(node, opts, 1, 1.5);
+}
+
+// return a transformed oklab/oklch lightness, where 1 is 100%
+function transformOKLabLightness(node, opts) {
+	return transformNumberOrPercentage(node, opts, 100, 1);
+}
+
+// return a transformed oklab a/b axis or oklch chroma, where 100% is 0.4
+function transformOKLabAxis(node, opts) {
+	return transformNumberOrPercentage(node, opts, 1, 0.004);
+}
+
+// return a transformed number or percentage scaled into a channel, where none is 0
+function transformNumberOrPercentage(node, opts, numberScale, percentageScale) {
+	if (isNone(node)) {
+		// none
+		return 0;
+	} else if (isNumber(node)) {
+		// <number>
+		return Number(parser.unit(node.value).number) * numberScale;
+	} else if (isPercentage(node)) {
+		// <percentage>
+		return Number(parser.unit(node.value).number) * percentageScale;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid number or percentage`);
+	}
+}
+
 // return a transformed rgb number
 function transformRGBNumber(node, opts) {
 	if (isNumber(node)) {
@@ -518,6 +1214,46 @@ function transformPercentage(node, opts) {
 	}
 }
 
+// return a transformed contrast ratio number
+function transformContrastRatio(node, opts) {
+	if (isNumber(node)) {
+		// <number>
+		return Number(parser.unit(node.value).number);
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid contrast ratio`);
+	}
+}
+
+// return a transformed apca lightness contrast number
+function transformAPCAContrast(node, opts) {
+	if (isNumber(node)) {
+		// <number>
+		return Number(parser.unit(node.value).number);
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a valid APCA contrast`);
+	}
+}
+
+// return a transformed against keyword
+function transformAgainst(node, opts) {
+	if (isAgainst(node)) {
+		// against
+		return node.value.toLowerCase();
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected an against keyword`);
+	}
+}
+
+// return a transformed colon operator
+function transformColon(node, opts) {
+	if (isColon(node)) {
+		// :
+		return node.value;
+	} else {
+		return manageUnresolved(node, opts, node.value, `Expected a colon operator`);
+	}
+}
+
 // return a transformed minus-plus operator
 function transformMinusPlusOperator(node, opts) {
 	if (isMinusPlusOperator(node)) {
@@ -563,6 +1299,54 @@ function transformNode(node) {
 	return Object(node);
 }
 
+// return the value of a calc() expression, or NaN when it cannot be evaluated
+function transformCalc(node, transformValue) {
+	const tokens = node.nodes.filter(child => child.type !== 'space' && child.type !== 'comment');
+
+	let index = 0;
+
+	// <calc-value> = <number> | <percentage> | <channel-keyword> | ( <calc-sum> )
+	const transformCalcValue = () => {
+		const token = tokens[index++];
+
+		return isCalcFunction(token)
+			? transformCalc(token, transformValue)
+		: transformValue(token);
+	};
+
+	// <calc-product> = <calc-value> [ [ '*' | '/' ] <calc-value> ]*
+	const transformCalcProduct = () => {
+		let value = transformCalcValue();
+
+		while (isTimesDivideOperator(tokens[index])) {
+			const operator = tokens[index++].value;
+			const operand = transformCalcValue();
+
+			value = operator === '*' ? value * operand : value / operand;
+		}
+
+		return value;
+	};
+
+	// <calc-sum> = <calc-product> [ [ '+' | '-' ] <calc-product> ]*
+	const transformCalcSum = () => {
+		let value = transformCalcProduct();
+
+		while (isMinusPlusOperator(tokens[index])) {
+			const operator = tokens[index++].value;
+			const operand = transformCalcProduct();
+
+			value = operator === '+' ? value + operand : value - operand;
+		}
+
+		return value;
+	};
+
+	const value = transformCalcSum();
+
+	return index === tokens.length ? Number(value) : NaN;
+}
+
 /* Transform helper
 /* ========================================================================== */
 
@@ -633,6 +1417,12 @@ function isBlendAdjuster(node) {
 	return Object(node).type === 'function' && blendMatch.test(node.value);
 }
 
+// return whether the node is an apca adjuster
+function isAPCAAdjuster(node) {
+	// [ apca() ]
+	return Object(node).type === 'function' && apcaMatch.test(node.value);
+}
+
 // return whether the node is a contrast adjuster
 function isContrastAdjuster(node) {
 	// [ contrast() ]
@@ -660,12 +1450,61 @@ function isHWBFunction(node) {
 	return Object(node).type === 'function' && hwbMatch.test(node.value);
 }
 
+// return whether the node is a lab color function
+function isLabFunction(node) {
+	// lab()
+	return Object(node).type === 'function' && labMatch.test(node.value);
+}
+
+// return whether the node is an lch color function
+function isLCHFunction(node) {
+	// lch()
+	return Object(node).type === 'function' && lchMatch.test(node.value);
+}
+
+// return whether the node is an oklab color function
+function isOKLabFunction(node) {
+	// oklab()
+	return Object(node).type === 'function' && oklabMatch.test(node.value);
+}
+
+// return whether the node is an oklch color function
+function isOKLCHFunction(node) {
+	// oklch()
+	return Object(node).type === 'function' && oklchMatch.test(node.value);
+}
+
+// return whether the node is a color function
+function isColorFunction(node) {
+	// color()
+	return Object(node).type === 'function' && colorMatch.test(node.value);
+}
+
 // return whether the node is a color-mod function
 function isColorModFunction(node) {
 	// color-mod()
 	return Object(node).type === 'function' && colorModMatch.test(node.value);
 }
 
+// return whether the node is a color-mix function
+function isColorMixFunction(node) {
+	// color-mix()
+	return Object(node).type === 'function' && colorMixMatch.test(node.value);
+}
+
+// return whether the node is a relative color function
+function isRelativeColorFunction(node) {
+	// [ rgb | rgba | hsl | hsla | hwb | lab | lch | oklab | oklch ]( from ... )
+	return Object(node).type === 'function' && relativeColorMatch.test(node.value) &&
+		isFromKeyword(node.nodes.filter(child => child.type !== 'space' && child.type !== 'comment')[0]);
+}
+
+// return whether the node is a calc function or a parenthesized calc expression
+function isCalcFunction(node) {
+	// calc() | ()
+	return Object(node).type === 'function' && calcMatch.test(node.value);
+}
+
 // return whether the node is a valid named-color
 function isNamedColor(node) {
 	return Object(node).type === 'word' && Boolean(convertNtoRGB(node.value));
@@ -679,10 +1518,45 @@ function isHexColor(node) {
 
 // return whether the node is a valid color space
 function isColorSpace(node) {
-	// [ hsl | hwb | rgb ]
+	// [ hsl | hwb | lab | lch | oklab | oklch | rgb ]
 	return Object(node).type === 'word' && colorSpaceMatch.test(node.value);
 }
 
+// return whether the node is a valid color-mix() colorspace
+function isColorMixSpace(node) {
+	return Object(node).type === 'word' && colorMixSpaceMatch.test(node.value);
+}
+
+// return whether the node is a from keyword
+function isFromKeyword(node) {
+	// from
+	return Object(node).type === 'word' && fromMatch.test(node.value);
+}
+
+// return whether the node is an in keyword
+function isInKeyword(node) {
+	// in
+	return Object(node).type === 'word' && inMatch.test(node.value);
+}
+
+// return whether the node is a valid hue interpolation method
+function isHueInterpolationMethod(node) {
+	// [ shorter | longer | increasing | decreasing ]
+	return Object(node).type === 'word' && hueInterpolationMethodMatch.test(node.value);
+}
+
+// return whether the node is a hue keyword
+function isHueKeyword(node) {
+	// hue
+	return Object(node).type === 'word' && hueKeywordMatch.test(node.value);
+}
+
+// return whether the node is a valid predefined color space
+function isPredefinedColorSpace(node) {
+	// [ srgb | srgb-linear | display-p3 | a98-rgb | prophoto-rgb | rec2020 | xyz | xyz-d50 | xyz-d65 ]
+	return Object(node).type === 'word' && predefinedColorSpaceMatch.test(node.value);
+}
+
 /* Additional validators
 /* ========================================================================== */
 
@@ -706,6 +1580,17 @@ function isSlash(node) {
 	return Object(node).type === 'div' && node.value === '/';
 }
 
+// return whether the colon operator is valid
+function isColon(node) {
+	return Object(node).type === 'div' && node.value === ':';
+}
+
+// return whether the node is an against keyword
+function isAgainst(node) {
+	// against
+	return Object(node).type === 'word' && againstMatch.test(node.value);
+}
+
 // return whether the number is valid
 function isNumber(node) {
 	if (Object(node).type !== 'word') {
@@ -731,6 +1616,11 @@ function isTimesOperator(node) {
 	return Object(node).type === 'word' && timesMatch.test(node.value);
 }
 
+// return whether the times-divide operator is valid
+function isTimesDivideOperator(node) {
+	return Object(node).type === 'word' && timesDivideMatch.test(node.value);
+}
+
 // return whether the percentage is valid
 function isPercentage(node) {
 	if (Object(node).type !== 'word') {
@@ -741,6 +1631,12 @@ function isPercentage(node) {
 	return parsedNumber && (parsedNumber.unit === '%' || parseFloat(parsedNumber.number) === 0);
 }
 
+// return whether the node is the none keyword
+function isNone(node) {
+	// none
+	return Object(node).type === 'word' && noneMatch.test(node.value);
+}
+
 // return whether the node is a word
 function isWord(node) {
 	// <word>
@@ -750,23 +1646,43 @@ function isWord(node) {
 /* Matchers
 /* ========================================================================== */
 
+const againstMatch = /^against$/i;
 const alphaMatch = /^a(lpha)?$/i;
 const alphaBlueGreenRedMatch = /^(a(lpha)?|blue|green|red)$/i;
+const apcaMatch = /^apca$/i;
 const blacknessLightnessSaturationWhitenessMatch = /^(b(lackness)?|l(ightness)?|s(aturation)?|w(hiteness)?)$/i;
 const blendMatch = /^blenda?$/i;
+const calcMatch = /^(calc)?$/i;
+const colorMatch = /^color$/i;
+const colorMixMatch = /^color-mix$/i;
+const colorMixSpaceMatch = /^(srgb|srgb-linear|display-p3|a98-rgb|prophoto-rgb|rec2020|lab|oklab|xyz|xyz-d50|xyz-d65|hsl|hwb|lch|oklch)$/i;
 const colorModMatch = /^color-mod$/i;
-const colorSpaceMatch = /^(hsl|hwb|rgb)$/i;
+const colorSpaceMatch = /^(hsl|hwb|lab|lch|oklab|oklch|rgb)$/i;
 const contrastMatch = /^contrast$/i;
+const fromMatch = /^from$/i;
 const hexColorMatch = /^#(?:([a-f0-9])([a-f0-9])([a-f0-9])([a-f0-9])?|([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})?)$/i;
 const hslaMatch = /^hsla?$/i;
+const hueInterpolationMethodMatch = /^(shorter|longer|increasing|decreasing)$/i;
+const hueKeywordMatch = /^hue$/i;
 const hueUnitMatch = /^(deg|grad|rad|turn)?$/i;
 const hueMatch = /^h(ue)?$/i;
 const hwbMatch = /^hwb$/i;
+const inMatch = /^in$/i;
+const labMatch = /^lab$/i;
+const lchMatch = /^lch$/i;
+const legacyAlphaMatch = /^(hsl|rgb)a$/;
 const minusPlusMatch = /^[+-]$/;
 const minusPlusTimesMatch = /^[*+-]$/;
+const noneMatch = /^none$/i;
+const oklabMatch = /^oklab$/i;
+const oklchMatch = /^oklch$/i;
+const polarColorSpaceMatch = /^(hsl|hwb|lch|oklch)$/;
+const predefinedColorSpaceMatch = /^(srgb|srgb-linear|display-p3|a98-rgb|prophoto-rgb|rec2020|xyz|xyz-d50|xyz-d65)$/i;
+const relativeColorMatch = /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch)$/i;
 const rgbMatch = /^rgb$/i;
 const rgbaMatch = /^rgba?$/i;
 const shadeTintMatch = /^(shade|tint)$/i;
 const varMatch = /^var$/i;
 const looseVarMatch = /(^|[^\w-])var\(/i;
 const timesMatch = /^[*]$/;
+const timesDivideMatch = /^[*/]$/;
@@ -0,0 +1,51 @@
+// insert a wide gamut declaration after a declaration, either directly or within an @supports rule
+export default function insertWideGamutDecl(decl, value, opts) {
+	if (opts.wideGamut === 'supports' && isRule(decl.parent)) {
+		const rule = decl.parent;
+
+		// indentation of the rule, and of each level nested within it
+		const ruleIndent = getIndent(rule);
+		const levelIndent = getIndent(decl).slice(ruleIndent.length) || '\t';
+
+		// conditionally insert an @supports rule containing an empty copy of the rule
+		if (!opts.supportsRules.has(rule)) {
+			const supportsRule = rule.clone({
+				raws: Object.assign({}, rule.raws, {
+					before: `\n${ruleIndent}${levelIndent}`,
+					after: `\n${ruleIndent}${levelIndent}`
+				})
+			}).removeAll();
+
+			const supportsAtRule = new opts.AtRule({
+				name: 'supports',
+				params: supportsParams,
+				raws: { before: `\n\n${ruleIndent}`, after: `\n${ruleIndent}`, afterName: ' ', between: ' ' },
+				source: rule.source
+			}).append(supportsRule);
+
+			rule.after(supportsAtRule);
+
+			opts.supportsRules.set(rule, supportsRule);
+		}
+
+		opts.supportsRules.get(rule).append(
+			decl.clone({
+				value,
+				raws: Object.assign({}, decl.raws, { before: `\n${ruleIndent}${levelIndent}${levelIndent}` })
+			})
+		);
+	} else {
+		decl.after(decl.clone({ value }));
+	}
+}
+
+// return the indentation preceding a node on its line
+function getIndent(node) {
+	return String(Object(node.raws).before || '').replace(/^[\W\w]*\n/, '');
+}
+
+// the condition for browsers supporting display-p3 colors
+const supportsParams = '(color: color(display-p3 0 0 0))';
+
+// whether the node is a rule
+const isRule = node => Object(node).type === 'rule';
@@ -0,0 +1,9 @@
+export const customProperties = {
+	'--imported': 'rgb(255, 0, 0)',
+	'--brand': 'rgb(0, 128, 255)',
+	'--brand-dark': 'rgb(0, 102, 204)',
+	'--brand-alias': 'rgb(0, 102, 204)',
+	'--test-export-color': 'rgba(0, 102, 204, 0.5)',
+	'--btn-hover-background-color': 'rgb(51, 153, 255)',
+	'--a-b-border-color': 'rgb(0, 0, 255)'
+};